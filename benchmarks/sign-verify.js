@@ -0,0 +1,39 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+/**
+ * Compares signing and verifying with a key pair's cached key material to
+ * decoding the multibase keys and importing them into the crypto backend on
+ * every call (as done before key material was cached).
+ *
+ * Usage: node benchmarks/sign-verify.js [iterations].
+ */
+import {Ed25519VerificationKey2020} from '../lib/index.js';
+
+const iterations = Number(process.argv[2] || 10000);
+const data = new TextEncoder().encode('benchmark data');
+
+const keyPair = await Ed25519VerificationKey2020.generate();
+const backend = keyPair._backend;
+const signature = await keyPair.signer().sign({data});
+
+await run('sign (uncached)', () =>
+  backend.sign(keyPair._privateKeyBuffer, data));
+await run('sign (cached)', () => keyPair.signer().sign({data}));
+await run('verify (uncached)', () =>
+  backend.verify(keyPair._publicKeyBuffer, data, signature));
+await run('verify (cached)', () =>
+  keyPair.verifier().verify({data, signature}));
+
+async function run(name, fn) {
+  // warm up
+  for(let i = 0; i < 100; ++i) {
+    await fn();
+  }
+  const start = process.hrtime.bigint();
+  for(let i = 0; i < iterations; ++i) {
+    await fn();
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${name}: ${Math.round(iterations / ms * 1000)} ops/s`);
+}
@@ -3,17 +3,61 @@
  */
 import * as base58btc from 'base58-universal';
 import * as base64url from 'base64url-universal';
+import {
+  assertBackend, getBackend, registerBackend, setBackend
+} from './backends.js';
+import {
+  decodeDer, derToPem, encodePkcs8, encodeSpki, pemToDer
+} from './der.js';
+import {decryptPrivateKey, encryptPrivateKey} from './encryption.js';
+import {
+  KeyFormatError, KeyLengthError, KeyMismatchError, UnsupportedKeyTypeError
+} from './errors.js';
+import * as jws from './jws.js';
+import * as multibase from './multibase.js';
+import * as openssh from './openssh.js';
+import {assertVerifyOptions, getVariant} from './ed25519-variants.js';
+import {assertVerificationMode, isWeakPublicKey} from './verification.js';
 import {assertKeyBytes} from './validators.js';
-import ed25519 from './ed25519.js';
+import {concatBytes, readChunks} from './util.js';
+import * as bip39 from './bip39.js';
+import * as cose from './cose.js';
+import * as shamir from './shamir.js';
+import {sha256} from './sha256.js';
+import * as slip10 from './slip10.js';
+import * as webcrypto from './webcrypto.js';
 import {LDKeyPair} from 'crypto-ld';
 
 const SUITE_ID = 'Ed25519VerificationKey2020';
+// context for the `Multikey` verification method type
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+// contexts used in did:key DID documents
+const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+const X25519_2020_CONTEXT_V1_URL =
+  'https://w3id.org/security/suites/x25519-2020/v1';
+// prefix of RFC 9278 JWK thumbprint URIs (SHA-256)
+const JWK_THUMBPRINT_URI_PREFIX =
+  'urn:ietf:params:oauth:jwk-thumbprint:sha-256:';
+
+// the built-in key ID strategies (see constructor)
+const ID_STRATEGIES = ['fingerprint', 'jwk-thumbprint', 'jwk-thumbprint-uri'];
+
+// message signed to check that a private CryptoKey matches its public key
+const CRYPTO_KEY_TEST_DATA = new TextEncoder().encode(
+  'Ed25519VerificationKey2020 CryptoKey check');
+
+// did:key method prefix
+const DID_KEY_PREFIX = 'did:key:';
 // multibase base58-btc header
 const MULTIBASE_BASE58BTC_HEADER = 'z';
 // multicodec ed25519-pub header as varint
 const MULTICODEC_ED25519_PUB_HEADER = new Uint8Array([0xed, 0x01]);
 // multicodec ed25519-priv header as varint
 const MULTICODEC_ED25519_PRIV_HEADER = new Uint8Array([0x80, 0x26]);
+// multicodec x25519-pub header as varint
+const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
+// multicodec x25519-priv header as varint
+const MULTICODEC_X25519_PRIV_HEADER = new Uint8Array([0x82, 0x26]);
 
 export class Ed25519VerificationKey2020 extends LDKeyPair {
   /**
@@ -26,58 +70,165 @@ export class Ed25519VerificationKey2020 extends LDKeyPair {
    * @param {object} options - Options hashmap.
    * @param {string} options.controller - Controller DID or document url.
    * @param {string} [options.id] - The key ID. If not provided, will be
-   *   composed of controller and key fingerprint as hash fragment.
+   *   created according to `idStrategy`.
+   * @param {string|Function} [options.idStrategy='fingerprint'] - How to
+   *   create the key ID if `id` is not provided: `fingerprint` (controller
+   *   and key fingerprint as hash fragment), `jwk-thumbprint` (controller and
+   *   RFC 7638 JWK thumbprint as hash fragment), `jwk-thumbprint-uri` (RFC
+   *   9278 JWK thumbprint URI, without controller) or a function
+   *   `({keyPair}) => id`. The `fingerprint` and `jwk-thumbprint` strategies
+   *   only create an ID if a controller is given.
    * @param {string} options.publicKeyMultibase - Multibase encoded public key
-   *   with a multicodec ed25519-pub varint header [0xed, 0x01].
+   *   with a multicodec ed25519-pub varint header [0xed, 0x01]. Any supported
+   *   multibase encoding is accepted and normalized to base58-btc.
    * @param {string} [options.privateKeyMultibase] - Multibase private key
-   *   with a multicodec ed25519-priv varint header [0x80, 0x26].
-   * @param {string} [options.revoked] - Timestamp of when the key has been
-   *   revoked, in RFC3339 format. If not present, the key itself is considered
-   *   not revoked. Note that this mechanism is slightly different than DID
-   *   Document key revocation, where a DID controller can revoke a key from
-   *   that DID by removing it from the DID Document.
+   *   with a multicodec ed25519-priv varint header [0x80, 0x26] (normalized
+   *   to base58-btc like `publicKeyMultibase`).
+   * @param {string|Date} [options.revoked] - Timestamp of when the key has
+   *   been revoked, in RFC3339 format. If not present, the key itself is
+   *   considered not revoked. Note that this mechanism is slightly different
+   *   than DID Document key revocation, where a DID controller can revoke a
+   *   key from that DID by removing it from the DID Document.
+   * @param {string|Date} [options.expires] - Timestamp of when the key
+   *   expires, in RFC3339 format. If not present, the key does not expire.
+   * @param {boolean} [options.enforceLifecycle=false] - Make `signer()`
+   *   refuse to sign and `verifier()` reject signatures once the key is
+   *   revoked or expired (see `isActive()`)?
+   * @param {object|Function} [options.signer] - An external signer to use
+   *   instead of `privateKeyMultibase`, such as a key in a key management
+   *   system or HSM: either an object with an async `sign({data})` method
+   *   (e.g., a WebKMS key) or an async function `({data}) => signature`.
+   * @param {boolean} [options.rejectWeakKeys=false] - Reject public keys that
+   *   are not canonically encoded points or are of small order?
+   * @param {string} [options.backend] - The name of the crypto backend to
+   *   use (see `registerBackend()`); defaults to the backend selected via
+   *   `setBackend()`.
    */
   constructor(options = {}) {
     super(options);
     this.type = SUITE_ID;
-    const {publicKeyMultibase, privateKeyMultibase} = options;
+    const {
+      publicKeyMultibase, privateKeyMultibase, signer, rejectWeakKeys = false,
+      backend, revoked, expires, enforceLifecycle = false,
+      idStrategy = 'fingerprint'
+    } = options;
 
     if(!publicKeyMultibase) {
       throw new TypeError('The "publicKeyMultibase" property is required.');
     }
 
-    if(!publicKeyMultibase || !_isValidKeyHeader(
-      publicKeyMultibase, MULTICODEC_ED25519_PUB_HEADER)) {
-      throw new Error(
+    const publicKeyMulticodec = _decodeMbKey({
+      mbKey: publicKeyMultibase, name: 'publicKeyMultibase',
+      code: 'invalidPublicKey'
+    });
+    if(!_hasHeader(publicKeyMulticodec, MULTICODEC_ED25519_PUB_HEADER)) {
+      throw new UnsupportedKeyTypeError(
         '"publicKeyMultibase" has invalid header bytes: ' +
-        `"${publicKeyMultibase}".`);
+        `"${publicKeyMultibase}".`, {code: 'invalidPublicKeyType'});
+    }
+
+    let privateKeyMulticodec;
+    if(privateKeyMultibase) {
+      privateKeyMulticodec = _decodeMbKey({
+        mbKey: privateKeyMultibase, name: 'privateKeyMultibase',
+        code: 'invalidPrivateKey'
+      });
+      if(!_hasHeader(privateKeyMulticodec, MULTICODEC_ED25519_PRIV_HEADER)) {
+        throw new UnsupportedKeyTypeError(
+          '"privateKeyMultibase" has invalid header bytes.',
+          {code: 'invalidPrivateKeyType'});
+      }
     }
 
-    if(privateKeyMultibase && !_isValidKeyHeader(
-      privateKeyMultibase, MULTICODEC_ED25519_PRIV_HEADER)) {
-      throw new Error('"privateKeyMultibase" has invalid header bytes.');
+    if(signer !== undefined) {
+      if(!(typeof signer === 'function' ||
+        typeof signer?.sign === 'function')) {
+        throw new TypeError(
+          '"signer" must be a function or an object with a "sign" function.');
+      }
+      if(privateKeyMultibase) {
+        throw new TypeError(
+          'Only one of "signer" and "privateKeyMultibase" may be given.');
+      }
+      this._externalSigner =
+        typeof signer === 'function' ? {sign: signer} : signer;
+    }
+
+    if(backend !== undefined) {
+      // throws if the backend is not registered
+      getBackend(backend);
+      this._backendName = backend;
     }
 
-    // assign valid key values
-    this.publicKeyMultibase = publicKeyMultibase;
-    this.privateKeyMultibase = privateKeyMultibase;
+    if(!(typeof idStrategy === 'function' ||
+      ID_STRATEGIES.includes(idStrategy))) {
+      throw new TypeError(
+        '"idStrategy" must be "fingerprint", "jwk-thumbprint", ' +
+        '"jwk-thumbprint-uri" or a function.');
+    }
+
+    if(revoked !== undefined) {
+      // throws if `revoked` is not a valid date
+      _toTime({date: revoked, name: 'revoked'});
+    }
+    this.revoked = revoked instanceof Date ?
+      _toTimestamp({date: revoked, name: 'revoked'}) : revoked;
+    if(expires !== undefined) {
+      // throws if `expires` is not a valid date
+      _toTime({date: expires, name: 'expires'});
+    }
+    this.expires = expires instanceof Date ?
+      _toTimestamp({date: expires, name: 'expires'}) : expires;
+    this._enforceLifecycle = enforceLifecycle;
 
-    // set key identifier if controller is provided
-    if(this.controller && !this.id) {
-      this.id = `${this.controller}#${this.fingerprint()}`;
+    // assign valid key values, normalized to base58-btc
+    this.publicKeyMultibase = _reencodeMbKey({
+      mbKey: publicKeyMultibase, bytes: publicKeyMulticodec
+    });
+    if(privateKeyMulticodec?.length ===
+      MULTICODEC_ED25519_PRIV_HEADER.length + 32) {
+      // expand a 32-byte seed to the 64-byte private key (seed and public
+      // key) the rest of the class uses; `assertConsistent()` checks that the
+      // seed belongs to the public key
+      const seed = privateKeyMulticodec.subarray(
+        MULTICODEC_ED25519_PRIV_HEADER.length);
+      const privateKeyBytes = concatBytes([
+        seed, publicKeyMulticodec.subarray(MULTICODEC_ED25519_PUB_HEADER.length)
+      ]);
+      this.privateKeyMultibase = _encodeMbKey(
+        MULTICODEC_ED25519_PRIV_HEADER, privateKeyBytes);
+      privateKeyBytes.fill(0);
+    } else {
+      this.privateKeyMultibase = _reencodeMbKey({
+        mbKey: privateKeyMultibase, bytes: privateKeyMulticodec
+      });
     }
+    privateKeyMulticodec?.fill(0);
+
     // check that the passed in keyBytes are 32 bytes
     assertKeyBytes({
       bytes: this._publicKeyBuffer,
       code: 'invalidPublicKeyLength',
       expectedLength: 32
     });
+    if(rejectWeakKeys && isWeakPublicKey(this._publicKeyBuffer)) {
+      throw new KeyFormatError(
+        'The public key is not a canonically encoded point or is of small ' +
+        'order.', {code: 'invalidPublicKey'});
+    }
+
+    // set key identifier
+    if(!this.id) {
+      this.id = _createId({keyPair: this, idStrategy});
+    }
   }
 
   /**
    * Creates an Ed25519 Key Pair from an existing serialized key pair.
    *
    * @param {object} options - Key pair options (see constructor).
+   * @param {boolean} [options.validate=false] - Check that the private key
+   *   matches the public key (see `assertConsistent()`)?
    * @example
    * > const keyPair = await Ed25519VerificationKey2020.from({
    * controller: 'did:ex:1234',
@@ -88,14 +239,41 @@ export class Ed25519VerificationKey2020 extends LDKeyPair {
    *
    * @returns {Promise<Ed25519VerificationKey2020>} An Ed25519 Key Pair.
    */
-  static async from(options) {
-    if(options.type === 'Ed25519VerificationKey2018') {
-      return Ed25519VerificationKey2020.fromEd25519VerificationKey2018(options);
-    }
-    if(options.type === 'JsonWebKey' || options.type === 'JsonWebKey2020') {
-      return Ed25519VerificationKey2020.fromJsonWebKey(options);
+  static async from({validate = false, ...options} = {}) {
+    const keyPair = await _from(options);
+    if(validate) {
+      await keyPair.assertConsistent();
     }
-    return new Ed25519VerificationKey2020(options);
+    return keyPair;
+  }
+
+  /**
+   * Creates a key pair from a serialized key pair with a passphrase-encrypted
+   * private key (as exported via `export({privateKey: true, passphrase})`).
+   *
+   * @param {object} options - Key pair options (see constructor).
+   * @param {object} options.encryptedPrivateKey - The encrypted private key.
+   * @param {string} options.passphrase - The passphrase used to encrypt the
+   *   private key.
+   *
+   * @throws {KeyMismatchError} With code `keyPairMismatch` if the decrypted
+   *   private key does not match `publicKeyMultibase`.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with the key pair.
+   */
+  static async decrypt({encryptedPrivateKey, passphrase, ...options} = {}) {
+    const privateKeyBytes = await decryptPrivateKey({
+      encryptedPrivateKey, passphrase, backend: getBackend(options.backend)
+    });
+    const privateKeyMultibase =
+      MULTIBASE_BASE58BTC_HEADER + base58btc.encode(privateKeyBytes);
+    privateKeyBytes.fill(0);
+    const keyPair = new Ed25519VerificationKey2020({
+      ...options, privateKeyMultibase
+    });
+    // the public key is stored unencrypted next to the private key
+    await keyPair.assertConsistent();
+    return keyPair;
   }
 
   /**
@@ -104,31 +282,90 @@ export class Ed25519VerificationKey2020 extends LDKeyPair {
    *
    * @see https://github.com/digitalbazaar/ed25519-verification-key-2018
    * @typedef {object} Ed25519VerificationKey2018
-   * @param {Ed25519VerificationKey2018} keyPair - Ed25519 2018 suite key pair.
+   * @param {object} options - Options hashmap.
+   * @param {Ed25519VerificationKey2018} options.keyPair - Ed25519 2018 suite
+   *   key pair.
+   * @param {string|Function} [options.idStrategy] - How to create the key ID
+   *   if the 2018 key pair has no `id` (see constructor).
    *
    * @returns {Ed25519VerificationKey2020} - 2020 suite instance.
    */
-  static fromEd25519VerificationKey2018({keyPair} = {}) {
+  static fromEd25519VerificationKey2018({keyPair, idStrategy} = {}) {
+    if(!(keyPair && typeof keyPair === 'object')) {
+      throw new TypeError('"keyPair" must be an object.');
+    }
+    if(!(keyPair.type === undefined ||
+      keyPair.type === 'Ed25519VerificationKey2018')) {
+      throw _invalidKeyTypeError(keyPair.type);
+    }
     const publicKeyMultibase = _encodeMbKey(
-      MULTICODEC_ED25519_PUB_HEADER, base58btc.decode(keyPair.publicKeyBase58));
+      MULTICODEC_ED25519_PUB_HEADER, _decodeBase58({
+        value: keyPair.publicKeyBase58, name: 'publicKeyBase58',
+        code: 'invalidPublicKey'
+      }));
     const keyPair2020 = new Ed25519VerificationKey2020({
       id: keyPair.id,
       controller: keyPair.controller,
-      publicKeyMultibase
+      publicKeyMultibase,
+      idStrategy
     });
 
     if(keyPair.privateKeyBase58) {
+      const privateKey = _decodeBase58({
+        value: keyPair.privateKeyBase58, name: 'privateKeyBase58',
+        code: 'invalidPrivateKey'
+      });
+      if(privateKey.length !== 64) {
+        throw new KeyLengthError(
+          '"privateKeyBase58" must be a 64-byte private key.',
+          {code: 'invalidPrivateKeyLength'});
+      }
       keyPair2020.privateKeyMultibase = _encodeMbKey(
-        MULTICODEC_ED25519_PRIV_HEADER,
-        base58btc.decode(keyPair.privateKeyBase58));
+        MULTICODEC_ED25519_PRIV_HEADER, privateKey);
     }
 
     return keyPair2020;
   }
 
   /**
-   * Creates a key pair instance (public key only) from a JsonWebKey2020
-   * object.
+   * Creates a key pair instance from a `Multikey` verification method. The
+   * key material is expected to use the same multicodec headers as the
+   * Ed25519VerificationKey2020 suite.
+   *
+   * @see https://www.w3.org/TR/controller-document/#multikey
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.id - Key id.
+   * @param {string} options.type - Key type (must be "Multikey").
+   * @param {string} options.controller - Key controller.
+   * @param {string} options.publicKeyMultibase - Multibase encoded public key.
+   * @param {string} [options.secretKeyMultibase] - Multibase encoded private
+   *   key.
+   * @param {string} [options.revoked] - Timestamp of when the key has been
+   *   revoked, in RFC3339 format.
+   * @param {string} [options.expires] - Timestamp of when the key expires,
+   *   in RFC3339 format.
+   * @param {string|Function} [options.idStrategy] - How to create the key
+   *   ID if `id` is not given (see constructor).
+   *
+   * @returns {Ed25519VerificationKey2020} Returns key pair instance.
+   */
+  static fromMultikey({
+    id, type, controller, publicKeyMultibase, secretKeyMultibase, revoked,
+    expires, idStrategy
+  } = {}) {
+    if(type !== 'Multikey') {
+      throw _invalidKeyTypeError(type);
+    }
+    return new Ed25519VerificationKey2020({
+      id, controller, publicKeyMultibase,
+      privateKeyMultibase: secretKeyMultibase, revoked, expires, idStrategy
+    });
+  }
+
+  /**
+   * Creates a key pair instance from a JsonWebKey2020 object. If
+   * `privateKeyJwk` is given, the key pair includes the private key.
    *
    * @see https://w3c-ccg.github.io/lds-jws2020/#json-web-key-2020
    *
@@ -136,282 +373,1319 @@ export class Ed25519VerificationKey2020 extends LDKeyPair {
    * @param {string} options.id - Key id.
    * @param {string} options.type - Key suite type.
    * @param {string} options.controller - Key controller.
-   * @param {object} options.publicKeyJwk - JWK object.
+   * @param {object} [options.publicKeyJwk] - Public JWK object.
+   * @param {object} [options.privateKeyJwk] - Private JWK object.
+   * @param {string|Function} [options.idStrategy='fingerprint'] - How to
+   *   create the key ID if `id` is not given (see constructor).
    *
    * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  static fromJsonWebKey2020({id, type, controller, publicKeyJwk} = {}) {
+  static fromJsonWebKey2020({
+    id, type, controller, publicKeyJwk, privateKeyJwk, idStrategy
+  } = {}) {
     if(type !== 'JsonWebKey2020') {
-      throw new TypeError(`Invalid key type: "${type}".`);
+      throw _invalidKeyTypeError(type);
     }
     return Ed25519VerificationKey2020.fromJsonWebKey({
-      id, type, controller, publicKeyJwk
+      id, type, controller, publicKeyJwk, privateKeyJwk, idStrategy
     });
   }
 
   /**
-   * Creates a key pair instance (public key only) from a JsonWebKey object.
+   * Creates a key pair instance from a JsonWebKey object. If `privateKeyJwk`
+   * is given, the key pair includes the private key.
    *
    * @param {object} options - Options hashmap.
    * @param {string} options.id - Key id.
    * @param {string} options.type - Key suite type.
    * @param {string} options.controller - Key controller.
-   * @param {object} options.publicKeyJwk - JWK object.
+   * @param {object} [options.publicKeyJwk] - Public JWK object.
+   * @param {object} [options.privateKeyJwk] - Private JWK object.
+   * @param {string|Function} [options.idStrategy='fingerprint'] - How to
+   *   create the key ID if `id` is not given (see constructor).
+   *
+   * @throws {Error} If a JWK is not a valid Ed25519 JWK or the public key
+   *   does not match the private key.
    *
    * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  static fromJsonWebKey({id, type, controller, publicKeyJwk} = {}) {
+  static async fromJsonWebKey({
+    id, type, controller, publicKeyJwk, privateKeyJwk, idStrategy
+  } = {}) {
     if(!(type === 'JsonWebKey' || type === 'JsonWebKey2020')) {
-      throw new TypeError(`Invalid key type: "${type}".`);
+      throw _invalidKeyTypeError(type);
     }
-    if(!publicKeyJwk) {
+    if(!(publicKeyJwk || privateKeyJwk)) {
       throw new TypeError('"publicKeyJwk" property is required.');
     }
-    const {kty, crv} = publicKeyJwk;
-    if(kty !== 'OKP') {
-      throw new TypeError('"kty" is required to be "OKP".');
-    }
-    if(crv !== 'Ed25519') {
-      throw new TypeError('"crv" is required to be "Ed25519".');
+    const keyPair = await Ed25519VerificationKey2020.fromJwk({
+      jwk: privateKeyJwk || publicKeyJwk, id, controller, idStrategy
+    });
+    if(privateKeyJwk && publicKeyJwk) {
+      _assertEd25519Jwk(publicKeyJwk);
+      if(!_isEqualBuffer(
+        base64url.decode(publicKeyJwk.x), keyPair._publicKeyBuffer)) {
+        throw _keyPairMismatchError();
+      }
     }
-    const {x: publicKeyBase64Url} = publicKeyJwk;
-    const publicKeyMultibase = _encodeMbKey(
-      MULTICODEC_ED25519_PUB_HEADER,
-      base64url.decode(publicKeyBase64Url));
+    return keyPair;
+  }
 
-    return Ed25519VerificationKey2020.from({
-      id, controller, publicKeyMultibase
+  /**
+   * Creates a key pair instance from a public or private (`d`) Ed25519 JWK.
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8037
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.jwk - The JWK.
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
+   *
+   * @throws {Error} If the JWK is not a valid Ed25519 JWK or its public key
+   *   does not match its private key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
+   */
+  static async fromJwk({jwk, ...keyPairOptions} = {}) {
+    _assertEd25519Jwk(jwk);
+    const {x, d} = jwk;
+    if(d === undefined) {
+      return new Ed25519VerificationKey2020({
+        ...keyPairOptions,
+        publicKeyMultibase: _encodeMbKey(
+          MULTICODEC_ED25519_PUB_HEADER, base64url.decode(x))
+      });
+    }
+    if(typeof d !== 'string') {
+      throw new KeyFormatError(
+        '"d" must be a base64url encoded private key.',
+        {code: 'invalidPrivateKey'});
+    }
+    const seed = base64url.decode(d);
+    if(seed.length !== 32) {
+      throw new KeyLengthError(
+        '"d" must be a base64url encoded 32-byte private key.',
+        {code: 'invalidPrivateKeyLength'});
+    }
+    const keyObject = await getBackend(keyPairOptions.backend)
+      .generateKeyPairFromSeed(seed);
+    if(x !== undefined &&
+      !_isEqualBuffer(base64url.decode(x), keyObject.publicKey)) {
+      throw _keyPairMismatchError();
+    }
+    return new Ed25519VerificationKey2020({
+      ...keyPairOptions,
+      publicKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PUB_HEADER, keyObject.publicKey),
+      privateKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PRIV_HEADER, keyObject.secretKey)
     });
   }
 
   /**
-   * Generates a KeyPair with an optional deterministic seed.
+   * Creates a key pair instance from an Ed25519 COSE_Key (`kty` OKP, `crv`
+   * Ed25519), such as one created by `toCoseKey()`. If the COSE_Key has a
+   * private key (`d`), its public key must match `x`. A `kid` is used as the
+   * key ID (decoded as UTF-8) unless an `id` is given.
    *
-   * @param {object} [options={}] - Options hashmap.
-   * @param {Uint8Array} [options.seed] - A 32-byte array seed for a
-   *   deterministic key.
+   * @see https://www.rfc-editor.org/rfc/rfc9053#section-7.2
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array|Map} options.coseKey - The CBOR encoded (or decoded)
+   *   COSE_Key.
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
    *
-   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with generated
-   *   public/private key pair.
+   * @throws {Error} If the COSE_Key is not a valid Ed25519 COSE_Key or its
+   *   public key does not match its private key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  static async generate({seed, ...keyPairOptions} = {}) {
-    let keyObject;
+  static async fromCoseKey({coseKey, ...keyPairOptions} = {}) {
+    const {publicKey, seed, kid} = cose.decodeKey(coseKey);
+    const jwk = {kty: 'OKP', crv: 'Ed25519', x: base64url.encode(publicKey)};
     if(seed) {
-      keyObject = await ed25519.generateKeyPairFromSeed(seed);
-    } else {
-      keyObject = await ed25519.generateKeyPair();
+      jwk.d = base64url.encode(seed);
+      // only clear the seed if it was decoded here, never the caller's bytes
+      if(coseKey instanceof Uint8Array) {
+        seed.fill(0);
+      }
     }
-    const publicKeyMultibase =
-      _encodeMbKey(MULTICODEC_ED25519_PUB_HEADER, keyObject.publicKey);
-
-    const privateKeyMultibase =
-      _encodeMbKey(MULTICODEC_ED25519_PRIV_HEADER, keyObject.secretKey);
-
-    return new Ed25519VerificationKey2020({
-      publicKeyMultibase,
-      privateKeyMultibase,
+    return Ed25519VerificationKey2020.fromJwk({
+      jwk,
+      id: kid && new TextDecoder().decode(kid),
       ...keyPairOptions
     });
   }
 
   /**
-   * Creates an instance of Ed25519VerificationKey2020 from a key fingerprint.
+   * Creates a key pair instance from a DER encoded Ed25519 public key
+   * (SubjectPublicKeyInfo) or private key (PKCS#8 / RFC 5958
+   * OneAsymmetricKey, version 1 or 2).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8410
    *
    * @param {object} options - Options hashmap.
-   * @param {string} options.fingerprint - Multibase encoded key fingerprint.
+   * @param {Uint8Array} options.der - The DER encoded key.
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
    *
-   * @returns {Ed25519VerificationKey2020} Returns key pair instance (with
-   *   public key only).
+   * @throws {Error} If the DER is not a valid Ed25519 key or its public key
+   *   does not match its private key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  static fromFingerprint({fingerprint} = {}) {
-    return new Ed25519VerificationKey2020({publicKeyMultibase: fingerprint});
+  static async fromDer({der, ...keyPairOptions} = {}) {
+    const {seed, publicKey} = decodeDer({der});
+    if(!seed) {
+      return new Ed25519VerificationKey2020({
+        ...keyPairOptions,
+        publicKeyMultibase: _encodeMbKey(
+          MULTICODEC_ED25519_PUB_HEADER, publicKey)
+      });
+    }
+    const keyObject = await getBackend(keyPairOptions.backend)
+      .generateKeyPairFromSeed(seed);
+    if(publicKey && !_isEqualBuffer(publicKey, keyObject.publicKey)) {
+      throw _keyPairMismatchError();
+    }
+    return new Ed25519VerificationKey2020({
+      ...keyPairOptions,
+      publicKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PUB_HEADER, keyObject.publicKey),
+      privateKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PRIV_HEADER, keyObject.secretKey)
+    });
   }
 
   /**
-   * @returns {Uint8Array} Public key bytes.
+   * Creates a key pair instance from a PEM encoded Ed25519 public key
+   * (`PUBLIC KEY`) or private key (`PRIVATE KEY`).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8410
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.pem - The PEM encoded key.
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
+   *
+   * @throws {Error} If the PEM is not a valid Ed25519 key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  get _publicKeyBuffer() {
-    if(!this.publicKeyMultibase) {
-      return;
+  static async fromPem({pem, ...keyPairOptions} = {}) {
+    const {der, privateKey} = pemToDer({pem});
+    const key = await Ed25519VerificationKey2020.fromDer({
+      der, ...keyPairOptions
+    });
+    if(privateKey !== !!key.privateKeyMultibase) {
+      throw new Error('The PEM label does not match the encoded key.');
     }
-    // remove multibase header
-    const publicKeyMulticodec =
-      base58btc.decode(this.publicKeyMultibase.substr(1));
-    // remove multicodec header
-    const publicKeyBytes =
-      publicKeyMulticodec.slice(MULTICODEC_ED25519_PUB_HEADER.length);
-
-    return publicKeyBytes;
+    return key;
   }
 
   /**
-   * @returns {Uint8Array} Private key bytes.
+   * Creates a key pair instance (public key only) from an OpenSSH
+   * `ssh-ed25519` public key, as found in `authorized_keys` files.
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8709
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.sshPublicKey - The OpenSSH public key line
+   *   (`ssh-ed25519 <base64> [comment]`).
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
+   *
+   * @throws {Error} If the key is not a valid `ssh-ed25519` public key.
+   *
+   * @returns {Ed25519VerificationKey2020} Returns key pair instance.
    */
-  get _privateKeyBuffer() {
-    if(!this.privateKeyMultibase) {
-      return;
-    }
-    // remove multibase header
-    const privateKeyMulticodec =
-      base58btc.decode(this.privateKeyMultibase.substr(1));
-    // remove multicodec header
-    const privateKeyBytes =
-      privateKeyMulticodec.slice(MULTICODEC_ED25519_PRIV_HEADER.length);
-
-    return privateKeyBytes;
+  static fromOpenSshPublicKey({sshPublicKey, ...keyPairOptions} = {}) {
+    const {publicKey} = openssh.decodePublicKey({sshPublicKey});
+    return new Ed25519VerificationKey2020({
+      ...keyPairOptions,
+      publicKeyMultibase: _encodeMbKey(MULTICODEC_ED25519_PUB_HEADER, publicKey)
+    });
   }
 
   /**
-   * Generates and returns a multiformats encoded
-   * ed25519 public key fingerprint (for use with cryptonyms, for example).
+   * Creates a key pair instance from an unencrypted OpenSSH
+   * (`openssh-key-v1`) `ssh-ed25519` private key. Encrypted private keys are
+   * not supported.
    *
-   * @see https://github.com/multiformats/multicodec
+   * @see https://github.com/openssh/openssh-portable/blob/master/PROTOCOL.key
    *
-   * @returns {string} The fingerprint.
+   * @param {object} options - Options hashmap.
+   * @param {string} options.sshPrivateKey - The OpenSSH private key.
+   * @param {string} [options.controller] - Key controller.
+   * @param {string} [options.id] - Key id.
+   *
+   * @throws {Error} If the key is not a valid unencrypted `ssh-ed25519`
+   *   private key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with key pair.
    */
-  fingerprint() {
-    return this.publicKeyMultibase;
+  static async fromOpenSshPrivateKey({sshPrivateKey, ...keyPairOptions} = {}) {
+    const {secretKey, publicKey} = openssh.decodePrivateKey({sshPrivateKey});
+    const keyObject = await getBackend(keyPairOptions.backend)
+      .generateKeyPairFromSeed(secretKey.subarray(0, 32));
+    if(!_isEqualBuffer(publicKey, keyObject.publicKey)) {
+      throw _keyPairMismatchError();
+    }
+    return new Ed25519VerificationKey2020({
+      ...keyPairOptions,
+      publicKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PUB_HEADER, publicKey),
+      privateKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PRIV_HEADER, secretKey)
+    });
   }
 
   /**
-   * Exports the serialized representation of the KeyPair
-   * and other information that JSON-LD Signatures can use to form a proof.
+   * Generates a KeyPair with an optional deterministic seed.
    *
    * @param {object} [options={}] - Options hashmap.
-   * @param {boolean} [options.publicKey] - Export public key material?
-   * @param {boolean} [options.privateKey] - Export private key material?
-   * @param {boolean} [options.includeContext] - Include JSON-LD context?
+   * @param {Uint8Array} [options.seed] - A 32-byte array seed for a
+   *   deterministic key.
+   * @param {boolean} [options.validate=false] - Check that the generated
+   *   private key matches the public key (see `assertConsistent()`)?
+   * @param {boolean} [options.extractable] - Set to `false` to keep the
+   *   private key in a non-extractable WebCrypto `CryptoKey` (see
+   *   `fromCryptoKey()`) instead of `privateKeyMultibase`.
+   * @param {boolean} [options.mnemonic=false] - Generate the key pair from a
+   *   new 24-word BIP-39 mnemonic (see `fromMnemonic()`), which is returned
+   *   alongside the key pair and not kept on it.
+   * @param {string} [options.passphrase] - The optional BIP-39 passphrase
+   *   when `mnemonic` is `true`.
    *
-   * @returns {object} A plain js object that's ready for serialization
-   *   (to JSON, etc), for use in DIDs, Linked Data Proofs, etc.
+   * @returns {Promise<Ed25519VerificationKey2020|{keyPair:
+   *   Ed25519VerificationKey2020, mnemonic: string}>} Resolves with generated
+   *   public/private key pair, or with `{keyPair, mnemonic}` if `mnemonic` is
+   *   `true`.
    */
-  export({publicKey = false, privateKey = false, includeContext = false} = {}) {
-    if(!(publicKey || privateKey)) {
-      throw new TypeError(
-        'Export requires specifying either "publicKey" or "privateKey".');
-    }
-    const exportedKey = {
-      id: this.id,
-      type: this.type
-    };
-    if(includeContext) {
-      exportedKey['@context'] = Ed25519VerificationKey2020.SUITE_CONTEXT;
-    }
-    if(this.controller) {
-      exportedKey.controller = this.controller;
+  static async generate({
+    seed, validate = false, extractable, mnemonic = false, passphrase,
+    ...keyPairOptions
+  } = {}) {
+    const backend = getBackend(keyPairOptions.backend);
+    if(mnemonic) {
+      if(seed !== undefined) {
+        throw new TypeError('"seed" and "mnemonic" cannot be used together.');
+      }
+      mnemonic = await bip39.entropyToMnemonic({
+        entropy: await backend.randomBytes(32), backend
+      });
+      const keyPair = await Ed25519VerificationKey2020.fromMnemonic({
+        mnemonic, passphrase, validate, extractable, ...keyPairOptions
+      });
+      return {keyPair, mnemonic};
     }
-    if(publicKey) {
-      exportedKey.publicKeyMultibase = this.publicKeyMultibase;
+    if(extractable === false) {
+      const cryptoKeys = seed ?
+        await webcrypto.importKeyPair({
+          publicKey: (await backend.generateKeyPairFromSeed(seed)).publicKey,
+          seed, extractable
+        }) :
+        await webcrypto.generateKeyPair({extractable});
+      return Ed25519VerificationKey2020.fromCryptoKey({
+        ...cryptoKeys, ...keyPairOptions
+      });
     }
-    if(privateKey) {
-      exportedKey.privateKeyMultibase = this.privateKeyMultibase;
+    let keyObject;
+    if(seed) {
+      keyObject = await backend.generateKeyPairFromSeed(seed);
+    } else {
+      keyObject = await backend.generateKeyPair();
     }
-    if(this.revoked) {
-      exportedKey.revoked = this.revoked;
+    const publicKeyMultibase =
+      _encodeMbKey(MULTICODEC_ED25519_PUB_HEADER, keyObject.publicKey);
+
+    const privateKeyMultibase =
+      _encodeMbKey(MULTICODEC_ED25519_PRIV_HEADER, keyObject.secretKey);
+
+    const keyPair = new Ed25519VerificationKey2020({
+      publicKeyMultibase,
+      privateKeyMultibase,
+      ...keyPairOptions
+    });
+    if(validate) {
+      await keyPair.assertConsistent();
     }
-    return exportedKey;
+    return keyPair;
   }
 
   /**
-   * Returns the JWK representation of this key pair.
+   * Restores a key pair from a BIP-39 mnemonic (English wordlist), such as
+   * the `mnemonic` returned by `generate({mnemonic: true})`.
+   * The key pair's seed is the SLIP-0010 master key of the mnemonic's BIP-39
+   * seed, so the same mnemonic and passphrase always restore the same key
+   * pair.
    *
-   * @see https://datatracker.ietf.org/doc/html/rfc8037
+   * @example
+   * > const keyPair = await Ed25519VerificationKey2020.fromMnemonic({
+   *   mnemonic: 'abandon abandon ... about', controller
+   * });
    *
-   * @param {object} [options={}] - Options hashmap.
-   * @param {boolean} [options.publicKey] - Include public key?
-   * @param {boolean} [options.privateKey] - Include private key?
+   * @param {object} options - Options hashmap.
+   * @param {string} options.mnemonic - The 12 to 24 word mnemonic.
+   * @param {string} [options.passphrase=''] - The optional BIP-39
+   *   passphrase.
+   * @param {object} [options.keyPairOptions] - Other options (see
+   *   `generate()`).
    *
-   * @returns {{kty: string, crv: string, x: string, d: string}} JWK
-   *   representation.
+   * @throws {KeyFormatError} With code `invalidMnemonic` if the mnemonic
+   *   has an invalid number of words, an unknown word or an invalid checksum.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with the key
+   *   pair.
    */
-  toJwk({publicKey = true, privateKey = false} = {}) {
-    if(!(publicKey || privateKey)) {
-      throw TypeError('Either a "publicKey" or a "privateKey" is required.');
-    }
-    const jwk = {crv: 'Ed25519', kty: 'OKP'};
-    if(publicKey) {
-      jwk.x = base64url.encode(this._publicKeyBuffer);
-    }
-    if(privateKey) {
-      jwk.d = base64url.encode(this._privateKeyBuffer);
+  static async fromMnemonic({mnemonic, passphrase, ...keyPairOptions} = {}) {
+    const backend = getBackend(keyPairOptions.backend);
+    const bip39Seed = await bip39.mnemonicToSeed({
+      mnemonic, passphrase, backend
+    });
+    const {key: seed, chainCode} = await slip10.deriveMaster({
+      seed: bip39Seed, hmacSha512: options => backend.hmacSha512(options)
+    });
+    bip39Seed.fill(0);
+    try {
+      return await Ed25519VerificationKey2020.generate({
+        ...keyPairOptions, seed
+      });
+    } finally {
+      seed.fill(0);
+      chainCode.fill(0);
     }
-    return jwk;
   }
 
   /**
-   * @see https://datatracker.ietf.org/doc/html/rfc8037#appendix-A.3
+   * Recombines a key pair from the private key shares created by
+   * `splitPrivateKey()`. At least `threshold` shares are required; the
+   * recombined private key must match the public key stored in the shares
+   * (and the `publicKeyMultibase` option, if given).
    *
-   * @returns {Promise<string>} JWK Thumbprint.
+   * @example
+   * > const keyPair = await Ed25519VerificationKey2020.fromShares(
+   *   [share1, share3], {controller});
+   *
+   * @param {Array<string>} shares - The encoded shares.
+   * @param {object} [keyPairOptions={}] - Other options (see `generate()`).
+   * @param {string} [keyPairOptions.publicKeyMultibase] - The stored public
+   *   key the recombined key pair must match.
+   *
+   * @throws {KeyFormatError} With code `invalidShare` if a share is invalid,
+   *   the shares belong to different keys or there are too few shares.
+   * @throws {KeyMismatchError} With code `keyPairMismatch` if the
+   *   recombined private key does not match the public key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with the key
+   *   pair.
    */
-  async jwkThumbprint() {
-    const publicKey = base64url.encode(this._publicKeyBuffer);
-    const serialized = `{"crv":"Ed25519","kty":"OKP","x":"${publicKey}"}`;
-    const data = new TextEncoder().encode(serialized);
-    return base64url.encode(
-      new Uint8Array(await ed25519.sha256digest({data})));
+  static async fromShares(shares, {
+    publicKeyMultibase, ...keyPairOptions
+  } = {}) {
+    if(!(Array.isArray(shares) && shares.length > 0)) {
+      throw new TypeError('"shares" must be a non-empty array.');
+    }
+    const decoded = shares.map(share => shamir.decodeShare(share));
+    const [{threshold, publicKey}] = decoded;
+    const indexes = new Set();
+    for(const share of decoded) {
+      if(!(share.threshold === threshold &&
+        _isEqualBuffer(share.publicKey, publicKey))) {
+        throw new KeyFormatError(
+          'Shares must be shares of the same private key.',
+          {code: 'invalidShare'});
+      }
+      if(indexes.has(share.index)) {
+        throw new KeyFormatError(
+          'Shares must be distinct.', {code: 'invalidShare'});
+      }
+      indexes.add(share.index);
+    }
+    if(decoded.length < threshold) {
+      throw new KeyFormatError(
+        `At least ${threshold} shares are required.`, {code: 'invalidShare'});
+    }
+    const expected = _encodeMbKey(MULTICODEC_ED25519_PUB_HEADER, publicKey);
+    if(publicKeyMultibase !== undefined &&
+      _reencodeMbKey({mbKey: publicKeyMultibase}) !== expected) {
+      throw _keyPairMismatchError();
+    }
+    const seed = shamir.combine({shares: decoded});
+    const keyPair = await Ed25519VerificationKey2020.generate({
+      ...keyPairOptions, seed
+    });
+    seed.fill(0);
+    if(keyPair.publicKeyMultibase !== expected) {
+      throw _keyPairMismatchError();
+    }
+    return keyPair;
   }
 
   /**
-   * Returns the JsonWebKey representation of this key pair.
+   * Creates a key pair from WebCrypto Ed25519 `CryptoKey`s, such as a
+   * non-extractable private key stored in IndexedDB. The private key stays
+   * in the `CryptoKey`: `signer()` signs with `crypto.subtle.sign()` and the
+   * private key cannot be exported.
    *
-   * @returns {Promise<object>} JsonWebKey representation.
+   * @example
+   * > const {publicKey, privateKey} = await crypto.subtle.generateKey(
+   *   {name: 'Ed25519'}, false, ['sign', 'verify']);
+   * > const keyPair = await Ed25519VerificationKey2020.fromCryptoKey({
+   *   publicKey, privateKey, controller
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {CryptoKey} options.publicKey - The public key.
+   * @param {CryptoKey} [options.privateKey] - The private key, which must
+   *   belong to `publicKey`.
+   * @param {object} [options.keyPairOptions] - Other key pair options (see
+   *   constructor).
+   *
+   * @throws {KeyMismatchError} With code `keyPairMismatch` if the private key
+   *   does not belong to the public key.
+   *
+   * @returns {Promise<Ed25519VerificationKey2020>} Resolves with the key
+   *   pair.
    */
-  async toJsonWebKey() {
-    return {
-      '@context': 'https://w3id.org/security/jwk/v1',
-      id: this.controller + '#' + await this.jwkThumbprint(),
-      type: 'JsonWebKey',
-      controller: this.controller,
-      publicKeyJwk: this.toJwk({publicKey: true})
-    };
+  static async fromCryptoKey({publicKey, privateKey, ...keyPairOptions} = {}) {
+    webcrypto.assertCryptoKey({
+      key: publicKey, type: 'public', name: 'publicKey'
+    });
+    if(privateKey !== undefined) {
+      webcrypto.assertCryptoKey({
+        key: privateKey, type: 'private', name: 'privateKey'
+      });
+    }
+    const keyPair = new Ed25519VerificationKey2020({
+      ...keyPairOptions,
+      publicKeyMultibase: _encodeMbKey(
+        MULTICODEC_ED25519_PUB_HEADER,
+        await webcrypto.exportPublicKey(publicKey))
+    });
+    if(privateKey !== undefined) {
+      // the private key cannot be exported, so check that it belongs to the
+      // public key by signing a test message with it
+      const signature = await webcrypto.sign({
+        privateKey, data: CRYPTO_KEY_TEST_DATA
+      });
+      if(!await keyPair._backend.verify(
+        keyPair._publicKeyBytes, CRYPTO_KEY_TEST_DATA, signature)) {
+        throw _keyPairMismatchError();
+      }
+    }
+    keyPair._cryptoKeys = {publicKey, privateKey};
+    return keyPair;
   }
 
   /**
-   * Returns the JsonWebKey2020 representation of this key pair.
+   * Creates a SLIP-0010 hierarchical deterministic wallet from a master seed
+   * (e.g., a BIP-39 seed), from which any number of key pairs can be
+   * derived. Ed25519 supports only hardened derivation, so every path index
+   * must be hardened.
    *
-   * @see https://w3c-ccg.github.io/lds-jws2020/#json-web-key-2020
+   * @see https://github.com/satoshilabs/slips/blob/master/slip-0010.md
    *
-   * @returns {Promise<object>} JsonWebKey2020 representation.
+   * @example
+   * > const keyPair = await Ed25519VerificationKey2020
+   *   .fromMasterSeed(seed).deriveChild("m/44'/0'/1'");
+   *
+   * @param {Uint8Array} seed - The 16 to 64 byte master seed.
+   * @param {object} [keyPairOptions={}] - Key pair options (see
+   *   constructor) for the derived key pairs.
+   *
+   * @returns {{deriveChild: Function}} An object whose async
+   *   `deriveChild(path)` resolves with the key pair at a derivation path,
+   *   such as `m/44'/0'/1'`.
    */
-  async toJsonWebKey2020() {
+  static fromMasterSeed(seed, keyPairOptions = {}) {
+    slip10.assertSeed(seed);
+    const backend = getBackend(keyPairOptions.backend);
+    const hmacSha512 = options => backend.hmacSha512(options);
     return {
-      '@context': 'https://w3id.org/security/jws/v1',
-      id: this.controller + '#' + await this.jwkThumbprint(),
-      type: 'JsonWebKey2020',
-      controller: this.controller,
-      publicKeyJwk: this.toJwk({publicKey: true})
+      async deriveChild(path) {
+        // check the path before deriving anything
+        slip10.parsePath(path);
+        const master = await slip10.deriveMaster({seed, hmacSha512});
+        const {key} = await slip10.derivePath({
+          ...master, path, hmacSha512
+        });
+        return Ed25519VerificationKey2020.generate({
+          ...keyPairOptions, seed: key
+        });
+      }
     };
   }
 
   /**
-   * Tests whether the fingerprint was generated from a given key pair.
+   * Registers a crypto backend under a name, for selection via
+   * `setBackend()` or the `backend` key pair option. The built-in backends
+   * are `node` (node:crypto, in Node.js), `noble` (`@noble/ed25519`, in
+   * browsers) and `webcrypto` (native WebCrypto Ed25519).
    *
    * @example
-   * > edKeyPair.verifyFingerprint({fingerprint: 'z6Mk2S2Q...6MkaFJewa'});
-   * {valid: true};
+   * > Ed25519VerificationKey2020.registerBackend({name: 'hsm', backend});
+   * > await Ed25519VerificationKey2020.assertBackend('hsm');
+   * > Ed25519VerificationKey2020.setBackend('hsm');
    *
    * @param {object} options - Options hashmap.
-   * @param {string} options.fingerprint - A public key fingerprint.
+   * @param {string} options.name - The backend name.
+   * @param {object} options.backend - The backend: an object with the async
+   *   functions `generateKeyPair()`, `generateKeyPairFromSeed(seed)`,
+   *   `sign(secretKey, data, options)`, `verify(publicKey, data, signature,
+   *   options)` and `sha256digest({data})`; other functions are optional.
+   * @param {boolean} [options.inheritDefaults=false] - Use the platform
+   *   default backend's functions for optional functions the backend does not
+   *   provide? Otherwise, they throw when called.
+   */
+  static registerBackend({name, backend, inheritDefaults} = {}) {
+    registerBackend({name, backend, inheritDefaults});
+  }
+
+  /**
+   * Selects the crypto backend used by key pairs without a `backend` option.
+   *
+   * @param {string} name - The name of a registered backend.
+   */
+  static setBackend(name) {
+    setBackend(name);
+  }
+
+  /**
+   * Returns the name of the crypto backend used by key pairs without a
+   * `backend` option.
+   *
+   * @returns {string} The backend name.
+   */
+  static getBackend() {
+    return getBackend().name;
+  }
+
+  /**
+   * Runs the backend conformance checks (known answers for key generation,
+   * signing, verification and SHA-256) against a backend; every backend
+   * must pass them.
+   *
+   * @param {string|object} backend - The name of a registered backend or a
+   *   backend.
+   *
+   * @throws {Error} If a check fails.
+   *
+   * @returns {Promise<undefined>} Resolves on success.
+   */
+  static async assertBackend(backend) {
+    return assertBackend(backend);
+  }
+
+  /**
+   * Verifies many signatures, each with its own public key. Uses randomized
+   * batch verification where the crypto backend supports it; if the batch
+   * does not verify, each signature is checked to find which ones failed.
+   *
+   * @example
+   * > await Ed25519VerificationKey2020.verifyBatch([
+   *   {publicKey: keyPair1, data: data1, signature: signature1},
+   *   {publicKey: keyPair2, data: data2, signature: signature2}
+   * ]);
+   * [true, false]
+   *
+   * @param {Array<{publicKey: Ed25519VerificationKey2020, data: Uint8Array,
+   *   signature: Uint8Array}>} items - The signed data, signatures and the key
+   *   pairs to verify them with.
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.mode='legacy'] - The verification mode (see
+   *   `verifier()`).
+   * @param {string} [options.backend] - The name of the crypto backend to
+   *   use; defaults to the selected backend.
+   *
+   * @throws {TypeError} If an item's `publicKey` is not an
+   *   `Ed25519VerificationKey2020` key pair.
+   *
+   * @returns {Promise<Array<boolean>>} The verification result of each item.
+   */
+  static async verifyBatch(items, {mode = 'legacy', backend} = {}) {
+    if(!Array.isArray(items)) {
+      throw new TypeError('"items" must be an array.');
+    }
+    if(!items.every(item => item?.publicKey instanceof
+      Ed25519VerificationKey2020)) {
+      throw new TypeError(
+        'Each item\'s "publicKey" must be an Ed25519VerificationKey2020 key ' +
+        'pair.');
+    }
+    assertVerificationMode(mode);
+    return getBackend(backend).verifyBatch(
+      items.map(({publicKey, data, signature}) => ({
+        publicKey: publicKey?._publicKeyBytes, data, signature
+      })), {mode});
+  }
+
+  /**
+   * Creates an instance of Ed25519VerificationKey2020 from a key fingerprint.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.fingerprint - Multibase encoded key fingerprint.
+   * @param {string|Function} [options.idStrategy] - How to create the key
+   *   ID (see constructor).
+   *
+   * @returns {Ed25519VerificationKey2020} Returns key pair instance (with
+   *   public key only).
+   */
+  static fromFingerprint({fingerprint, idStrategy} = {}) {
+    return new Ed25519VerificationKey2020({
+      publicKeyMultibase: fingerprint, idStrategy
+    });
+  }
+
+  /**
+   * Creates an instance of Ed25519VerificationKey2020 from a `did:key` DID or
+   * DID URL. If a DID URL is given, its fragment must identify the Ed25519
+   * verification method of the DID.
+   *
+   * @see https://w3c-ccg.github.io/did-method-key/
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - A `did:key` DID or DID URL.
+   *
+   * @throws {Error} With a `code` from the did:key spec (`invalidDid`,
+   *   `invalidPublicKeyType` or `invalidPublicKeyLength`) on failure.
+   *
+   * @returns {Ed25519VerificationKey2020} Returns key pair instance (with
+   *   public key only).
+   */
+  static fromDidKey({did} = {}) {
+    if(!(typeof did === 'string' && did.startsWith(DID_KEY_PREFIX))) {
+      throw new KeyFormatError(
+        '"did" must be a string that starts with "did:key:".',
+        {code: 'invalidDid'});
+    }
+    const [didValue, fragment] = did.split('#');
+    const parts = didValue.slice(DID_KEY_PREFIX.length).split(':');
+    let multibaseValue;
+    if(parts.length === 1) {
+      [multibaseValue] = parts;
+    } else if(parts.length === 2 && parts[0] === '1') {
+      // optional version, only "1" is defined
+      [, multibaseValue] = parts;
+    } else {
+      throw new KeyFormatError(
+        `Invalid did:key DID: "${did}".`, {code: 'invalidDid'});
+    }
+    if(multibaseValue[0] !== MULTIBASE_BASE58BTC_HEADER) {
+      throw new KeyFormatError(
+        'The did:key multibase value must use the base58-btc "z" header.',
+        {code: 'invalidDid'});
+    }
+    let multicodecValue;
+    try {
+      multicodecValue = base58btc.decode(multibaseValue.slice(1));
+    } catch(e) {}
+    if(!multicodecValue) {
+      throw new KeyFormatError(
+        'The did:key multibase value is not valid base58-btc.',
+        {code: 'invalidDid'});
+    }
+    // a value too short for a multicodec header has no key type to report
+    if(multicodecValue.length <= MULTICODEC_ED25519_PUB_HEADER.length) {
+      throw new KeyLengthError(
+        'The did:key public key must be 32 bytes.',
+        {code: 'invalidPublicKeyLength'});
+    }
+    if(!MULTICODEC_ED25519_PUB_HEADER.every(
+      (val, i) => multicodecValue[i] === val)) {
+      throw new UnsupportedKeyTypeError(
+        'The did:key public key type is not "ed25519-pub".',
+        {code: 'invalidPublicKeyType'});
+    }
+    if(fragment !== undefined && fragment !== multibaseValue) {
+      throw new KeyFormatError(
+        `DID URL fragment "${fragment}" does not identify an Ed25519 key.`,
+        {code: 'invalidDid'});
+    }
+    const controller = DID_KEY_PREFIX + multibaseValue;
+    return new Ed25519VerificationKey2020({
+      id: `${controller}#${multibaseValue}`,
+      controller,
+      publicKeyMultibase: multibaseValue
+    });
+  }
+
+  /**
+   * @returns {Uint8Array} Public key bytes.
+   */
+  get _publicKeyBuffer() {
+    return this._publicKeyBytes?.slice();
+  }
+
+  /**
+   * @returns {Uint8Array} Private key bytes with multicodec header.
+   */
+  get _privateKeyMulticodec() {
+    const privateKeyBytes = this._privateKeyBytes;
+    if(!privateKeyBytes) {
+      return;
+    }
+    const privateKeyMulticodec = new Uint8Array(
+      MULTICODEC_ED25519_PRIV_HEADER.length + privateKeyBytes.length);
+    privateKeyMulticodec.set(MULTICODEC_ED25519_PRIV_HEADER);
+    privateKeyMulticodec.set(
+      privateKeyBytes, MULTICODEC_ED25519_PRIV_HEADER.length);
+    return privateKeyMulticodec;
+  }
+
+  /**
+   * @returns {Uint8Array} Private key bytes.
+   */
+  get _privateKeyBuffer() {
+    return this._privateKeyBytes?.slice();
+  }
+
+  /**
+   * The decoded public key, cached until `publicKeyMultibase` is reassigned.
+   * The same bytes are passed to the crypto backend on every call so that it
+   * can reuse native key objects; they must not be modified (use
+   * `_publicKeyBuffer` for a copy).
+   *
+   * @returns {Uint8Array} Public key bytes.
+   */
+  get _publicKeyBytes() {
+    return _cachedKeyBytes({
+      keyPair: this, property: 'publicKeyMultibase',
+      header: MULTICODEC_ED25519_PUB_HEADER
+    });
+  }
+
+  /**
+   * The decoded private key, cached until `privateKeyMultibase` is
+   * reassigned (see `_publicKeyBytes`).
+   *
+   * @returns {Uint8Array} Private key bytes.
+   */
+  get _privateKeyBytes() {
+    return _cachedKeyBytes({
+      keyPair: this, property: 'privateKeyMultibase',
+      header: MULTICODEC_ED25519_PRIV_HEADER
+    });
+  }
+
+  /**
+   * @returns {object} The crypto backend.
+   */
+  get _backend() {
+    return getBackend(this._backendName);
+  }
+
+  /**
+   * Generates and returns a multiformats encoded
+   * ed25519 public key fingerprint (for use with cryptonyms, for example).
+   *
+   * @see https://github.com/multiformats/multicodec
+   *
+   * @returns {string} The fingerprint.
+   */
+  fingerprint() {
+    // `publicKeyMultibase` may have been reassigned with another encoding
+    return _reencodeMbKey({mbKey: this.publicKeyMultibase});
+  }
+
+  /**
+   * Exports the serialized representation of the KeyPair
+   * and other information that JSON-LD Signatures can use to form a proof.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.publicKey] - Export public key material?
+   * @param {boolean} [options.privateKey] - Export private key material?
+   * @param {boolean} [options.includeContext] - Include JSON-LD context?
+   * @param {string} [options.passphrase] - A passphrase to encrypt the
+   *   private key with; if given, the private key is exported as
+   *   `encryptedPrivateKey` instead of `privateKeyMultibase` and a promise is
+   *   returned.
+   * @param {string} [options.encoding='base58btc'] - The multibase encoding
+   *   of `publicKeyMultibase` and `privateKeyMultibase`, e.g., `base64url`
+   *   or `base32`. Note that the Ed25519VerificationKey2020 spec requires
+   *   base58-btc.
+   *
+   * @returns {object|Promise<object>} A plain js object that's ready for
+   *   serialization (to JSON, etc), for use in DIDs, Linked Data Proofs, etc.
+   */
+  export({
+    publicKey = false, privateKey = false, includeContext = false, passphrase,
+    encoding = 'base58btc'
+  } = {}) {
+    if(!(publicKey || privateKey)) {
+      throw new TypeError(
+        'Export requires specifying either "publicKey" or "privateKey".');
+    }
+    multibase.assertEncoding(encoding);
+    const exportedKey = {
+      id: this.id,
+      type: this.type
+    };
+    if(includeContext) {
+      exportedKey['@context'] = Ed25519VerificationKey2020.SUITE_CONTEXT;
+    }
+    if(this.controller) {
+      exportedKey.controller = this.controller;
+    }
+    if(privateKey) {
+      _assertPrivateKeyExportable(this);
+    }
+    if(publicKey) {
+      exportedKey.publicKeyMultibase = _reencodeMbKey({
+        mbKey: this.publicKeyMultibase, encoding
+      });
+    }
+    if(privateKey && passphrase === undefined) {
+      exportedKey.privateKeyMultibase = _reencodeMbKey({
+        mbKey: this.privateKeyMultibase, encoding
+      });
+    }
+    if(this.revoked) {
+      exportedKey.revoked = this.revoked;
+    }
+    if(this.expires) {
+      exportedKey.expires = this.expires;
+    }
+    if(privateKey && passphrase !== undefined) {
+      return _addEncryptedPrivateKey({
+        exportedKey, privateKeyBytes: this._privateKeyMulticodec, passphrase,
+        backend: this._backend
+      });
+    }
+    return exportedKey;
+  }
+
+  /**
+   * Returns the JWK representation of this key pair.
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8037
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.publicKey] - Include public key?
+   * @param {boolean} [options.privateKey] - Include private key?
+   *
+   * @returns {{kty: string, crv: string, x: string, d: string}} JWK
+   *   representation.
+   */
+  toJwk({publicKey = true, privateKey = false} = {}) {
+    if(!(publicKey || privateKey)) {
+      throw TypeError('Either a "publicKey" or a "privateKey" is required.');
+    }
+    const jwk = {crv: 'Ed25519', kty: 'OKP'};
+    if(publicKey) {
+      jwk.x = base64url.encode(this._publicKeyBuffer);
+    }
+    if(privateKey) {
+      _assertPrivateKeyExportable(this);
+      // `d` is the 32-byte private key (seed) without the public key
+      jwk.d = base64url.encode(this._privateKeyBuffer.slice(0, 32));
+    }
+    return jwk;
+  }
+
+  /**
+   * Returns this key pair as WebCrypto Ed25519 `CryptoKey`s. If the key pair
+   * was created from `CryptoKey`s, those are returned.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.extractable=false] - Make an imported private
+   *   key extractable?
+   *
+   * @returns {Promise<{publicKey: CryptoKey, privateKey: CryptoKey}>}
+   *   Resolves with the keys; `privateKey` is `undefined` if the key pair
+   *   has no private key.
+   */
+  async toCryptoKey({extractable = false} = {}) {
+    if(this._cryptoKeys) {
+      return {...this._cryptoKeys};
+    }
+    const privateKeyBuffer = this._privateKeyBuffer;
+    const cryptoKeys = await webcrypto.importKeyPair({
+      publicKey: this._publicKeyBuffer,
+      seed: privateKeyBuffer?.subarray(0, 32),
+      extractable
+    });
+    privateKeyBuffer?.fill(0);
+    return cryptoKeys;
+  }
+
+  /**
+   * Splits the private key (the 32-byte seed) into `shares` Shamir secret
+   * shares, any `threshold` of which recombine the key pair via
+   * `Ed25519VerificationKey2020.fromShares()`; fewer shares reveal nothing
+   * about the private key. Each share is a multibase base58-btc string that
+   * also carries the threshold and the public key.
+   *
+   * @example
+   * > const shares = await keyPair.splitPrivateKey({threshold: 2, shares: 3});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {number} options.threshold - The number of shares required to
+   *   recombine the private key, 2 to 255.
+   * @param {number} options.shares - The number of shares, `threshold` to
+   *   255.
+   *
+   * @returns {Promise<Array<string>>} Resolves with the encoded shares.
+   */
+  async splitPrivateKey({threshold, shares} = {}) {
+    _assertPrivateKeyExportable(this);
+    const privateKeyBytes = this._privateKeyBytes;
+    if(!privateKeyBytes) {
+      throw new Error('A private key is not available for export.');
+    }
+    const seed = privateKeyBytes.slice(0, 32);
+    const backend = this._backend;
+    const split = await shamir.split({
+      secret: seed, threshold, shares,
+      randomBytes: length => backend.randomBytes(length)
+    });
+    seed.fill(0);
+    const publicKey = this._publicKeyBytes;
+    return split.map(({index, value}) => shamir.encodeShare({
+      threshold, index, publicKey, value
+    }));
+  }
+
+  /**
+   * Returns the DER encoding of this key pair's public key (as a
+   * SubjectPublicKeyInfo) or private key (as PKCS#8).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8410
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.privateKey=false] - Encode the private key?
+   * @param {boolean} [options.includePublicKey=false] - Include the public
+   *   key in the private key encoding (RFC 5958 OneAsymmetricKey version 2)?
+   *   Note that not all tools (e.g., OpenSSL 3) can read version 2.
+   *
+   * @returns {Uint8Array} The DER encoded key.
+   */
+  toDer({privateKey = false, includePublicKey = false} = {}) {
+    if(!privateKey) {
+      return encodeSpki({publicKey: this._publicKeyBuffer});
+    }
+    _assertPrivateKeyExportable(this);
+    const privateKeyBuffer = this._privateKeyBuffer;
+    if(!privateKeyBuffer) {
+      throw new Error('A private key is not available for export.');
+    }
+    const der = encodePkcs8({
+      seed: privateKeyBuffer.subarray(0, 32),
+      publicKey: includePublicKey ? this._publicKeyBuffer : undefined
+    });
+    privateKeyBuffer.fill(0);
+    return der;
+  }
+
+  /**
+   * Returns the PEM encoding of this key pair's public key (`PUBLIC KEY`) or
+   * private key (`PRIVATE KEY`).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8410
+   *
+   * @param {object} [options={}] - Options hashmap (see `toDer()`).
+   * @param {boolean} [options.privateKey=false] - Encode the private key?
+   * @param {boolean} [options.includePublicKey=false] - Include the public
+   *   key in the private key encoding?
+   *
+   * @returns {string} The PEM encoded key.
+   */
+  toPem({privateKey = false, includePublicKey = false} = {}) {
+    return derToPem({
+      der: this.toDer({privateKey, includePublicKey}),
+      privateKey
+    });
+  }
+
+  /**
+   * Returns this key pair's public key as an OpenSSH `ssh-ed25519` public key
+   * line (for use in `authorized_keys` files).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8709
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.comment] - An optional comment to append.
+   *
+   * @returns {string} The OpenSSH public key.
+   */
+  toOpenSshPublicKey({comment} = {}) {
+    return openssh.encodePublicKey({
+      publicKey: this._publicKeyBuffer, comment
+    });
+  }
+
+  /**
+   * Returns this key pair's private key as an unencrypted OpenSSH
+   * (`openssh-key-v1`) private key.
+   *
+   * @see https://github.com/openssh/openssh-portable/blob/master/PROTOCOL.key
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.comment] - An optional comment.
+   *
+   * @returns {Promise<string>} The OpenSSH private key.
+   */
+  async toOpenSshPrivateKey({comment} = {}) {
+    _assertPrivateKeyExportable(this);
+    const secretKey = this._privateKeyBuffer;
+    if(!secretKey) {
+      throw new Error('A private key is not available for export.');
+    }
+    const sshPrivateKey = openssh.encodePrivateKey({
+      secretKey,
+      publicKey: this._publicKeyBuffer,
+      checkInt: await this._backend.randomBytes(4),
+      comment
+    });
+    secretKey.fill(0);
+    return sshPrivateKey;
+  }
+
+  /**
+   * @see https://datatracker.ietf.org/doc/html/rfc8037#appendix-A.3
+   *
+   * @returns {Promise<string>} JWK Thumbprint.
+   */
+  async jwkThumbprint() {
+    const publicKey = base64url.encode(this._publicKeyBuffer);
+    const serialized = `{"crv":"Ed25519","kty":"OKP","x":"${publicKey}"}`;
+    const data = new TextEncoder().encode(serialized);
+    return base64url.encode(
+      new Uint8Array(await this._backend.sha256digest({data})));
+  }
+
+  /**
+   * Returns this key pair as a CBOR encoded Ed25519 COSE_Key (`kty` OKP,
+   * `crv` Ed25519, `alg` EdDSA). The key pair `id`, if set, is used as the
+   * `kid` (UTF-8 encoded).
+   *
+   * @see https://www.rfc-editor.org/rfc/rfc9053#section-7.2
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.privateKey=false] - Include the private key
+   *   (`d`)?
+   *
+   * @returns {Uint8Array} The COSE_Key.
+   */
+  toCoseKey({privateKey = false} = {}) {
+    let seed;
+    if(privateKey) {
+      _assertPrivateKeyExportable(this);
+      seed = this._privateKeyBuffer?.slice(0, 32);
+      if(!seed) {
+        throw new Error('A private key is not available for export.');
+      }
+    }
+    const coseKey = cose.encodeKey({
+      publicKey: this._publicKeyBuffer,
+      seed,
+      kid: this.id === undefined ? undefined :
+        new TextEncoder().encode(this.id)
+    });
+    seed?.fill(0);
+    return coseKey;
+  }
+
+  /**
+   * Returns the JsonWebKey representation of this key pair.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.privateKey=false] - Include the private key as
+   *   `privateKeyJwk`?
+   *
+   * @returns {Promise<object>} JsonWebKey representation.
+   */
+  async toJsonWebKey({privateKey = false} = {}) {
+    const key = {
+      '@context': 'https://w3id.org/security/jwk/v1',
+      id: this.id,
+      type: 'JsonWebKey',
+      controller: this.controller,
+      publicKeyJwk: this.toJwk({publicKey: true})
+    };
+    if(privateKey) {
+      key.privateKeyJwk = this.toJwk({publicKey: true, privateKey: true});
+    }
+    return key;
+  }
+
+  /**
+   * Returns the JsonWebKey2020 representation of this key pair.
+   *
+   * @see https://w3c-ccg.github.io/lds-jws2020/#json-web-key-2020
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.privateKey=false] - Include the private key as
+   *   `privateKeyJwk`?
+   *
+   * @returns {Promise<object>} JsonWebKey2020 representation.
+   */
+  async toJsonWebKey2020({privateKey = false} = {}) {
+    const key = {
+      '@context': 'https://w3id.org/security/jws/v1',
+      id: this.id,
+      type: 'JsonWebKey2020',
+      controller: this.controller,
+      publicKeyJwk: this.toJwk({publicKey: true})
+    };
+    if(privateKey) {
+      key.privateKeyJwk = this.toJwk({publicKey: true, privateKey: true});
+    }
+    return key;
+  }
+
+  /**
+   * Returns the `Multikey` representation of this key pair.
+   *
+   * @see https://www.w3.org/TR/controller-document/#multikey
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.publicKey=true] - Include public key?
+   * @param {boolean} [options.privateKey=false] - Include private key (as
+   *   `secretKeyMultibase`)?
+   * @param {boolean} [options.includeContext=true] - Include JSON-LD context?
+   *
+   * @returns {object} Multikey representation.
+   */
+  toMultikey({
+    publicKey = true, privateKey = false, includeContext = true
+  } = {}) {
+    if(!(publicKey || privateKey)) {
+      throw new TypeError(
+        'Export requires specifying either "publicKey" or "privateKey".');
+    }
+    const multikey = {};
+    if(includeContext) {
+      multikey['@context'] = MULTIKEY_CONTEXT_V1_URL;
+    }
+    multikey.id = this.id;
+    multikey.type = 'Multikey';
+    if(this.controller) {
+      multikey.controller = this.controller;
+    }
+    if(publicKey) {
+      multikey.publicKeyMultibase = this.publicKeyMultibase;
+    }
+    if(privateKey) {
+      _assertPrivateKeyExportable(this);
+      multikey.secretKeyMultibase = this.privateKeyMultibase;
+    }
+    if(this.revoked) {
+      multikey.revoked = this.revoked;
+    }
+    if(this.expires) {
+      multikey.expires = this.expires;
+    }
+    return multikey;
+  }
+
+  /**
+   * Returns the `did:key` DID document for this key pair's public key. The
+   * document includes the key as its verification method for
+   * `authentication`, `assertionMethod`, `capabilityDelegation` and
+   * `capabilityInvocation`, and an X25519 key derived from it for
+   * `keyAgreement`.
+   *
+   * @see https://w3c-ccg.github.io/did-method-key/
+   *
+   * @returns {Promise<object>} The did:key DID document.
+   */
+  async toDidKeyDocument() {
+    const fingerprint = this.fingerprint();
+    const did = DID_KEY_PREFIX + fingerprint;
+    const verificationMethod = {
+      id: `${did}#${fingerprint}`,
+      type: SUITE_ID,
+      controller: did,
+      publicKeyMultibase: this.publicKeyMultibase
+    };
+    const x25519PublicKeyMultibase = _encodeMbKey(
+      MULTICODEC_X25519_PUB_HEADER,
+      await this._backend.convertPublicKeyToX25519(this._publicKeyBuffer));
+    const keyAgreementKey = {
+      id: `${did}#${x25519PublicKeyMultibase}`,
+      type: 'X25519KeyAgreementKey2020',
+      controller: did,
+      publicKeyMultibase: x25519PublicKeyMultibase
+    };
+    return {
+      '@context': [
+        DID_CONTEXT_V1_URL,
+        Ed25519VerificationKey2020.SUITE_CONTEXT,
+        X25519_2020_CONTEXT_V1_URL
+      ],
+      id: did,
+      verificationMethod: [verificationMethod],
+      authentication: [verificationMethod.id],
+      assertionMethod: [verificationMethod.id],
+      capabilityDelegation: [verificationMethod.id],
+      capabilityInvocation: [verificationMethod.id],
+      keyAgreement: [keyAgreementKey]
+    };
+  }
+
+  /**
+   * Derives an X25519KeyAgreementKey2020 key pair from this key pair. The
+   * public key (and the private key, if present) is converted from Ed25519
+   * to X25519. The result can be imported using the
+   * `@digitalbazaar/x25519-key-agreement-key-2020` library.
+   *
+   * @see https://w3c-ccg.github.io/lds-x25519-2020/
+   *
+   * @returns {Promise<object>} The X25519KeyAgreementKey2020 representation,
+   *   with `id` composed of the controller and the X25519 key fingerprint.
+   */
+  async toX25519KeyAgreementKey() {
+    const publicKeyMultibase = _encodeMbKey(
+      MULTICODEC_X25519_PUB_HEADER,
+      await this._backend.convertPublicKeyToX25519(this._publicKeyBuffer));
+    const keyAgreementKey = {type: 'X25519KeyAgreementKey2020'};
+    if(this.controller) {
+      keyAgreementKey.id = `${this.controller}#${publicKeyMultibase}`;
+      keyAgreementKey.controller = this.controller;
+    }
+    keyAgreementKey.publicKeyMultibase = publicKeyMultibase;
+    const privateKeyBuffer = this._privateKeyBuffer;
+    if(privateKeyBuffer) {
+      const secretKey =
+        await this._backend.convertSecretKeyToX25519(privateKeyBuffer);
+      keyAgreementKey.privateKeyMultibase = _encodeMbKey(
+        MULTICODEC_X25519_PRIV_HEADER, secretKey);
+      secretKey.fill(0);
+    }
+    return keyAgreementKey;
+  }
+
+  /**
+   * Tests whether the fingerprint was generated from a given key pair.
+   *
+   * @example
+   * > edKeyPair.verifyFingerprint({fingerprint: 'z6Mk2S2Q...6MkaFJewa'});
+   * {valid: true};
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.fingerprint - A public key fingerprint, in any
+   *   supported multibase encoding.
    *
    * @returns {{valid: boolean, error: *}} Result of verification.
    */
   verifyFingerprint({fingerprint} = {}) {
-    // fingerprint should have multibase base58-btc header
-    if(!(typeof fingerprint === 'string' &&
-      fingerprint[0] === MULTIBASE_BASE58BTC_HEADER)) {
+    const {encoding, bytes: fingerprintBuffer} = multibase.decode(fingerprint);
+    if(!encoding) {
       return {
-        error: new Error('"fingerprint" must be a multibase encoded string.'),
+        error: new KeyFormatError(
+          '"fingerprint" must be a multibase encoded string.',
+          {code: 'invalidPublicKey'}),
         valid: false
       };
     }
-    let fingerprintBuffer;
-    try {
-      fingerprintBuffer = base58btc.decode(fingerprint.substr(1));
-      if(!fingerprintBuffer) {
-        throw new TypeError('Invalid encoding of fingerprint.');
-      }
-    } catch(e) {
-      return {error: e, valid: false};
+    if(!fingerprintBuffer) {
+      return {
+        error: new KeyFormatError(
+          'Invalid encoding of fingerprint.', {code: 'invalidPublicKey'}),
+        valid: false
+      };
     }
 
     const buffersEqual = _isEqualBuffer(this._publicKeyBuffer,
@@ -424,39 +1698,398 @@ export class Ed25519VerificationKey2020 extends LDKeyPair {
       buffersEqual;
     if(!valid) {
       return {
-        error: new Error('The fingerprint does not match the public key.'),
+        error: new KeyMismatchError(
+          'The fingerprint does not match the public key.',
+          {code: 'fingerprintMismatch'}),
         valid: false
       };
     }
     return {valid};
   }
 
-  signer() {
+  /**
+   * Checks that the private key, if present, belongs to the public key. The
+   * private key must be either a 32-byte seed or a 64-byte private key (seed
+   * and public key); the public key derived from the seed (and, for a 64-byte
+   * private key, the public key it contains) must equal the public key.
+   *
+   * @example
+   * > await keyPair.validate();
+   * {valid: true}
+   *
+   * @returns {Promise<{valid: boolean, error: *}>} Resolves with the result
+   *   of validation; `error.code` is `invalidPrivateKeyLength` or
+   *   `keyPairMismatch`.
+   */
+  async validate() {
+    try {
+      await this.assertConsistent();
+    } catch(error) {
+      return {error, valid: false};
+    }
+    return {valid: true};
+  }
+
+  /**
+   * Asserts that the private key, if present, belongs to the public key.
+   *
+   * @see validate
+   *
+   * @throws {Error} If the private key has an invalid length (`code`
+   *   `invalidPrivateKeyLength`) or does not match the public key (`code`
+   *   `keyPairMismatch`).
+   *
+   * @returns {Promise<undefined>} Resolves on success.
+   */
+  async assertConsistent() {
     const privateKeyBuffer = this._privateKeyBuffer;
+    if(!privateKeyBuffer) {
+      return;
+    }
+    if(!(privateKeyBuffer.length === 32 || privateKeyBuffer.length === 64)) {
+      throw new KeyLengthError(
+        '"privateKeyMultibase" must be a 32-byte seed or a 64-byte private ' +
+        'key.', {code: 'invalidPrivateKeyLength'});
+    }
+    const publicKeyBuffer = this._publicKeyBuffer;
+    if(privateKeyBuffer.length === 64 &&
+      !_isEqualBuffer(privateKeyBuffer.subarray(32), publicKeyBuffer)) {
+      throw _keyPairMismatchError();
+    }
+    const {publicKey} = await this._backend.generateKeyPairFromSeed(
+      privateKeyBuffer.slice(0, 32));
+    if(!_isEqualBuffer(publicKey, publicKeyBuffer)) {
+      throw _keyPairMismatchError();
+    }
+  }
 
-    return {
+  /**
+   * Revokes the key by setting `revoked`. The key is inactive (see
+   * `isActive()`) from the revocation date on.
+   *
+   * @example
+   * > keyPair.revoke();
+   * > keyPair.export({publicKey: true}).revoked;
+   * '2024-05-01T12:00:00Z'
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {Date|string} [options.date=new Date()] - The revocation date.
+   */
+  revoke({date = new Date()} = {}) {
+    this.revoked = _toTimestamp({date, name: 'date'});
+  }
+
+  /**
+   * Checks whether the key is active (neither revoked nor expired) at a
+   * date. A key is inactive from its `revoked` or `expires` date on.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {Date|string} [options.date=new Date()] - The date to check.
+   *
+   * @returns {boolean} `true` if the key is active at the date.
+   */
+  isActive({date = new Date()} = {}) {
+    return !_inactiveReason({
+      keyPair: this, time: _toTime({date, name: 'date'})
+    });
+  }
+
+  /**
+   * Returns a signer object for use with jsonld-signatures.
+   *
+   * By default, signatures are pure Ed25519. Passing `context` selects
+   * Ed25519ctx and passing `prehash: true` selects Ed25519ph (RFC 8032); the
+   * signer's `algorithm` names the variant so that a suite expecting
+   * `Ed25519` does not accept a signer for another variant.
+   *
+   * An Ed25519ph signer also has a `signStream({stream})` function that
+   * hashes a Node.js `Readable`, a WHATWG `ReadableStream` or an async
+   * iterable of Uint8Arrays incrementally, so large payloads do not have to
+   * be held in memory.
+   *
+   * @example
+   * > const signer = keyPair.signer({context: 'my-protocol'});
+   * > signer.algorithm;
+   * 'Ed25519ctx'
+   * > const {signStream} = keyPair.signer({prehash: true});
+   * > const signature = await signStream({stream: createReadStream(path)});
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {Uint8Array|string} [options.context] - The context (at most 255
+   *   bytes; strings are UTF-8 encoded). Must not be empty for Ed25519ctx.
+   * @param {boolean} [options.prehash=false] - Sign the SHA-512 digest of the
+   *   data (Ed25519ph)?
+   * @param {boolean} [options.enforceLifecycle] - Refuse to sign once the
+   *   key is revoked or expired? Defaults to the `enforceLifecycle`
+   *   constructor option.
+   *
+   * @returns {{sign: Function, id: string, algorithm: string}} A signer.
+   */
+  signer({
+    context, prehash = false, enforceLifecycle = this._enforceLifecycle
+  } = {}) {
+    const algorithm = getVariant({context, prehash});
+    const metadata = {id: this.id, algorithm};
+    if(context !== undefined) {
+      metadata.context = context;
+    }
+    // checked on every call so that revoking the key stops existing signers
+    const assertActive = () => {
+      if(enforceLifecycle) {
+        _assertActive(this);
+      }
+    };
+    const cryptoKey = this._cryptoKeys?.privateKey;
+    if(cryptoKey) {
+      if(algorithm !== 'Ed25519') {
+        throw new TypeError(`A CryptoKey cannot be used with ${algorithm}.`);
+      }
+      return {
+        async sign({data}) {
+          assertActive();
+          return webcrypto.sign({privateKey: cryptoKey, data});
+        },
+        ...metadata
+      };
+    }
+    if(this._externalSigner) {
+      if(algorithm !== 'Ed25519') {
+        throw new TypeError(
+          `An external signer cannot be used with ${algorithm}.`);
+      }
+      const externalSigner = this._externalSigner;
+      return {
+        async sign({data}) {
+          assertActive();
+          return externalSigner.sign({data});
+        },
+        ...metadata
+      };
+    }
+
+    const privateKeyBuffer = this._privateKeyBytes;
+    const backend = this._backend;
+
+    const signer = {
       async sign({data}) {
         if(!privateKeyBuffer) {
           throw new Error('A private key is not available for signing.');
         }
-        return ed25519.sign(privateKeyBuffer, data);
+        assertActive();
+        if(algorithm === 'Ed25519') {
+          return backend.sign(privateKeyBuffer, data);
+        }
+        return backend.sign(privateKeyBuffer, data, {context, prehash});
       },
-      id: this.id
+      ...metadata
     };
+    if(prehash) {
+      signer.signStream = async ({stream}) => {
+        if(!privateKeyBuffer) {
+          throw new Error('A private key is not available for signing.');
+        }
+        assertActive();
+        const digest = await _digestStream({stream, backend});
+        return backend.sign(privateKeyBuffer, undefined, {
+          context, prehash, digest
+        });
+      };
+    }
+    return signer;
   }
 
-  verifier() {
-    const publicKeyBuffer = this._publicKeyBuffer;
+  /**
+   * Returns a verifier object for use with jsonld-signatures.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.mode='legacy'] - The verification mode:
+   *   `legacy` uses the crypto backend's own rules, which differ between
+   *   node and browsers for edge cases; `rfc8032-strict` rejects
+   *   non-canonical encodings, non-canonical `S` and small-order points;
+   *   `zip215` follows ZIP 215 (cofactored, permissive decoding). The
+   *   `rfc8032-strict` and `zip215` modes give the same results on every
+   *   backend. Defaults to `rfc8032-strict` for Ed25519ctx and Ed25519ph,
+   *   which cannot use `legacy`.
+   * @param {Uint8Array|string} [options.context] - The Ed25519ctx or
+   *   Ed25519ph context (see `signer()`).
+   * @param {boolean} [options.prehash=false] - Verify Ed25519ph signatures?
+   *   An Ed25519ph verifier also has a `verifyStream({stream, signature})`
+   *   function (see `signer()`).
+   * @param {boolean} [options.enforceLifecycle] - Reject signatures whose
+   *   creation time (the `created` option of `verify()`, `verifyStream()`
+   *   and each `verifyBatch()` item; defaults to the current time) is not
+   *   before the key's `revoked` and `expires` dates? Defaults to the
+   *   `enforceLifecycle` constructor option.
+   *
+   * @returns {{verify: Function, verifyBatch: Function, id: string,
+   *   algorithm: string}} A verifier.
+   */
+  verifier({
+    mode, context, prehash = false, enforceLifecycle = this._enforceLifecycle
+  } = {}) {
+    const algorithm = getVariant({context, prehash});
+    if(mode === undefined) {
+      mode = algorithm === 'Ed25519' ? 'legacy' : 'rfc8032-strict';
+    }
+    assertVerifyOptions({mode, context, prehash});
+    const options = algorithm === 'Ed25519' ? {mode} :
+      {mode, context, prehash};
+    const publicKeyBuffer = this._publicKeyBytes;
+    const backend = this._backend;
+    // backend verification is used for modes WebCrypto does not implement
+    const cryptoKey = mode === 'legacy' && this._cryptoKeys?.publicKey;
+    // whether the key was active when a signature was (claimed to be) created
+    const isActive = (created = new Date()) =>
+      !enforceLifecycle || this.isActive({date: created});
 
-    return {
-      async verify({data, signature}) {
+    const verifier = {
+      async verify({data, signature, created}) {
+        if(!isActive(created)) {
+          return false;
+        }
+        if(cryptoKey) {
+          return webcrypto.verify({publicKey: cryptoKey, data, signature});
+        }
+        if(!publicKeyBuffer) {
+          throw new Error('A public key is not available for verifying.');
+        }
+        return backend.verify(publicKeyBuffer, data, signature, options);
+      },
+      async verifyBatch(items) {
         if(!publicKeyBuffer) {
           throw new Error('A public key is not available for verifying.');
         }
-        return ed25519.verify(publicKeyBuffer, data, signature);
+        if(!Array.isArray(items)) {
+          throw new TypeError('"items" must be an array.');
+        }
+        const active = items.map(({created}) => isActive(created));
+        const results = await backend.verifyBatch(
+          items.map(({data, signature}) => ({
+            publicKey: publicKeyBuffer, data, signature
+          })), options);
+        return results.map((result, i) => result && active[i]);
       },
-      id: this.id
+      id: this.id,
+      algorithm
     };
+    if(prehash) {
+      verifier.verifyStream = async ({stream, signature, created}) => {
+        if(!publicKeyBuffer) {
+          throw new Error('A public key is not available for verifying.');
+        }
+        if(!isActive(created)) {
+          return false;
+        }
+        const digest = await _digestStream({stream, backend});
+        return backend.verify(publicKeyBuffer, undefined, signature, {
+          ...options, digest
+        });
+      };
+    }
+    return verifier;
+  }
+
+  /**
+   * Signs a payload, producing a JWS (RFC 7515) in compact serialization
+   * with `alg` `EdDSA` (RFC 8037). The key pair `id`, if set, is used as the
+   * `kid` unless one is given in `header`.
+   *
+   * @example
+   * > const jws = await keyPair.signJws({payload: '{"hello":"world"}'});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array|string} options.payload - The payload.
+   * @param {object} [options.header={}] - Additional protected header
+   *   parameters.
+   * @param {boolean} [options.detached=false] - Omit the payload from the
+   *   JWS (`<header>..<signature>`)?
+   * @param {boolean} [options.b64=true] - Set to `false` to use the
+   *   unencoded payload option (RFC 7797).
+   *
+   * @returns {Promise<string>} The JWS.
+   */
+  async signJws({payload, header = {}, detached = false, b64 = true} = {}) {
+    if(this.id !== undefined && header.kid === undefined) {
+      header = {kid: this.id, ...header};
+    }
+    return jws.sign({signer: this.signer(), payload, header, detached, b64});
+  }
+
+  /**
+   * Verifies a JWS in compact serialization created by `signJws()` or any
+   * other RFC 7515 implementation using `alg` `EdDSA`.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.jws - The JWS.
+   * @param {Uint8Array|string} [options.payload] - The payload; required if
+   *   the JWS is detached.
+   *
+   * @throws {Error} If the JWS is malformed, its `alg` is not `EdDSA` or it
+   *   has unsupported critical header parameters.
+   *
+   * @returns {Promise<boolean>} Resolves with the verification result.
+   */
+  async verifyJws({jws: compactJws, payload} = {}) {
+    return jws.verify({verifier: this.verifier(), jws: compactJws, payload});
+  }
+
+  /**
+   * Signs a payload, producing a tagged COSE_Sign1 (RFC 9052) with `alg`
+   * EdDSA (-8) in the protected header. The key pair `id`, if set, is used
+   * as the `kid` (4, UTF-8 encoded) unless one is given in `protectedHeader`
+   * or `unprotectedHeader`.
+   *
+   * @example
+   * > const coseSign1 = await keyPair.signCose1({
+   *   payload, protectedHeader: {3: 'application/cwt'}
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array|string} options.payload - The payload.
+   * @param {Map|object} [options.protectedHeader={}] - Additional protected
+   *   header parameters, by label (e.g., `{3: 'application/cwt'}`).
+   * @param {Map|object} [options.unprotectedHeader={}] - Unprotected header
+   *   parameters.
+   * @param {Uint8Array} [options.externalAad] - Externally supplied data to
+   *   sign along with the payload.
+   * @param {boolean} [options.detached=false] - Omit the payload from the
+   *   COSE_Sign1?
+   *
+   * @returns {Promise<Uint8Array>} The CBOR encoded COSE_Sign1.
+   */
+  async signCose1({
+    payload, protectedHeader = {}, unprotectedHeader = {}, externalAad,
+    detached = false
+  } = {}) {
+    return cose.sign1({
+      signer: this.signer(), payload, protectedHeader, unprotectedHeader,
+      externalAad, detached,
+      kid: this.id === undefined ? undefined :
+        new TextEncoder().encode(this.id)
+    });
+  }
+
+  /**
+   * Verifies a COSE_Sign1 with `alg` EdDSA (-8) created by `signCose1()` or
+   * any other RFC 9052 implementation.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} options.cose - The CBOR encoded COSE_Sign1 (tagged
+   *   or untagged).
+   * @param {Uint8Array|string} [options.payload] - The payload; required if
+   *   the COSE_Sign1 is detached.
+   * @param {Uint8Array} [options.externalAad] - Externally supplied data
+   *   that was signed along with the payload.
+   *
+   * @throws {Error} If the COSE_Sign1 is malformed, its `alg` is not EdDSA
+   *   or it has critical header parameters.
+   *
+   * @returns {Promise<boolean>} Resolves with the verification result.
+   */
+  async verifyCose1({cose: coseSign1, payload, externalAad} = {}) {
+    return cose.verify1({
+      verifier: this.verifier(), cose: coseSign1, payload, externalAad
+    });
   }
 }
 // Used by CryptoLD harness for dispatching.
@@ -465,6 +2098,23 @@ Ed25519VerificationKey2020.suite = SUITE_ID;
 Ed25519VerificationKey2020.SUITE_CONTEXT =
   'https://w3id.org/security/suites/ed25519-2020/v1';
 
+// create a key pair from any supported serialization
+async function _from(options) {
+  if(options.encryptedPrivateKey) {
+    return Ed25519VerificationKey2020.decrypt(options);
+  }
+  if(options.type === 'Ed25519VerificationKey2018') {
+    return Ed25519VerificationKey2020.fromEd25519VerificationKey2018(options);
+  }
+  if(options.type === 'JsonWebKey' || options.type === 'JsonWebKey2020') {
+    return Ed25519VerificationKey2020.fromJsonWebKey(options);
+  }
+  if(options.type === 'Multikey') {
+    return Ed25519VerificationKey2020.fromMultikey(options);
+  }
+  return new Ed25519VerificationKey2020(options);
+}
+
 // check to ensure that two buffers are byte-for-byte equal
 // WARNING: this function must only be used to check public information as
 //          timing attacks can be used for non-constant time checks on
@@ -481,15 +2131,180 @@ function _isEqualBuffer(buf1, buf2) {
   return true;
 }
 
-// check a multibase key for an expected header
-function _isValidKeyHeader(multibaseKey, expectedHeader) {
-  if(!(typeof multibaseKey === 'string' &&
-    multibaseKey[0] === MULTIBASE_BASE58BTC_HEADER)) {
-    return false;
+// computes the SHA-512 digest of a stream incrementally
+async function _digestStream({stream, backend}) {
+  const hash = backend.createSha512();
+  for await (const chunk of readChunks(stream)) {
+    hash.update(chunk);
+  }
+  return hash.digest();
+}
+
+// returns the decoded bytes of a multibase key property, decoding them only
+// when the property has changed since the last call
+function _cachedKeyBytes({keyPair, property, header}) {
+  const mbKey = keyPair[property];
+  if(!mbKey) {
+    return;
+  }
+  const cache = keyPair._keyBytesCache || (keyPair._keyBytesCache = {});
+  let entry = cache[property];
+  if(entry?.mbKey !== mbKey) {
+    // remove multibase and multicodec headers
+    const bytes = multibase.decode(mbKey).bytes.slice(header.length);
+    entry = cache[property] = {mbKey, bytes};
+  }
+  return entry.bytes;
+}
+
+// decode a multibase multicodec key (in any supported multibase encoding)
+function _decodeMbKey({mbKey, name, code}) {
+  const {encoding, bytes} = multibase.decode(mbKey);
+  if(!encoding) {
+    throw new KeyFormatError(
+      `"${name}" must be a multibase encoded string.`, {code});
+  }
+  if(!bytes) {
+    const base = encoding === 'base58btc' ? 'base58-btc' : encoding;
+    throw new KeyFormatError(`"${name}" must be ${base} encoded.`, {code});
+  }
+  return bytes;
+}
+
+// re-encode a multibase key in another multibase encoding (if needed); the
+// decoded `bytes` may be passed to avoid decoding the key again
+function _reencodeMbKey({mbKey, encoding = 'base58btc', bytes}) {
+  if(!mbKey || (encoding === 'base58btc' &&
+    mbKey[0] === MULTIBASE_BASE58BTC_HEADER)) {
+    return mbKey;
+  }
+  bytes = bytes ?? multibase.decode(mbKey).bytes;
+  return bytes && multibase.encode({bytes, encoding});
+}
+
+function _decodeBase58({value, name, code}) {
+  // `base58btc.decode()` returns `undefined` for invalid characters
+  const bytes = typeof value === 'string' ? base58btc.decode(value) : undefined;
+  if(!bytes) {
+    throw new KeyFormatError(`"${name}" must be base58-btc encoded.`, {code});
+  }
+  return bytes;
+}
+
+function _hasHeader(bytes, header) {
+  return header.every((val, i) => bytes[i] === val);
+}
+
+function _assertPrivateKeyExportable(keyPair) {
+  if(keyPair._cryptoKeys?.privateKey) {
+    throw new Error(
+      'The private key is held in a CryptoKey and cannot be exported.');
+  }
+}
+
+// add a passphrase-encrypted private key to an exported key
+async function _addEncryptedPrivateKey({
+  exportedKey, privateKeyBytes, passphrase, backend
+}) {
+  if(!privateKeyBytes) {
+    throw new Error('A private key is not available for export.');
+  }
+  exportedKey.encryptedPrivateKey = await encryptPrivateKey({
+    privateKeyBytes, passphrase, backend
+  });
+  privateKeyBytes.fill(0);
+  return exportedKey;
+}
+
+// create a key pair's ID according to an ID strategy
+function _createId({keyPair, idStrategy}) {
+  if(typeof idStrategy === 'function') {
+    return idStrategy({keyPair});
+  }
+  const {controller} = keyPair;
+  if(idStrategy === 'fingerprint') {
+    return controller && `${controller}#${keyPair.fingerprint()}`;
+  }
+  if(idStrategy === 'jwk-thumbprint') {
+    return controller && `${controller}#${_jwkThumbprint(keyPair)}`;
+  }
+  // `jwk-thumbprint-uri`
+  return JWK_THUMBPRINT_URI_PREFIX + _jwkThumbprint(keyPair);
+}
+
+// computes the RFC 7638 JWK thumbprint synchronously (see `jwkThumbprint()`)
+function _jwkThumbprint(keyPair) {
+  const x = base64url.encode(keyPair._publicKeyBytes);
+  return base64url.encode(sha256(new TextEncoder().encode(
+    `{"crv":"Ed25519","kty":"OKP","x":"${x}"}`)));
+}
+
+// parse a Date or an RFC3339 timestamp into milliseconds since the epoch
+function _toTime({date, name}) {
+  const time = date instanceof Date ? date.getTime() :
+    typeof date === 'string' ? Date.parse(date) : NaN;
+  if(Number.isNaN(time)) {
+    throw new TypeError(
+      `"${name}" must be a Date or an RFC3339 timestamp string.`);
+  }
+  return time;
+}
+
+// format a Date or an RFC3339 timestamp as an RFC3339 timestamp (in seconds)
+function _toTimestamp({date, name}) {
+  return new Date(_toTime({date, name})).toISOString()
+    .replace(/\.[0-9]{3}Z$/, 'Z');
+}
+
+// why a key pair is inactive at a time, if it is
+function _inactiveReason({keyPair, time}) {
+  const {revoked, expires} = keyPair;
+  if(revoked && time >= _toTime({date: revoked, name: 'revoked'})) {
+    return `The key was revoked at "${revoked}".`;
+  }
+  if(expires && time >= _toTime({date: expires, name: 'expires'})) {
+    return `The key expired at "${expires}".`;
   }
+}
+
+function _assertActive(keyPair) {
+  const reason = _inactiveReason({keyPair, time: Date.now()});
+  if(reason) {
+    throw new Error(reason);
+  }
+}
 
-  const keyBytes = base58btc.decode(multibaseKey.slice(1));
-  return expectedHeader.every((val, i) => keyBytes[i] === val);
+function _keyPairMismatchError() {
+  return new KeyMismatchError(
+    'The public key does not match the private key.',
+    {code: 'keyPairMismatch'});
+}
+
+function _invalidKeyTypeError(type) {
+  return new UnsupportedKeyTypeError(
+    `Invalid key type: "${type}".`, {code: 'invalidKeyType'});
+}
+
+function _assertEd25519Jwk(jwk) {
+  if(!(jwk && typeof jwk === 'object')) {
+    throw new TypeError('"jwk" must be an object.');
+  }
+  const {kty, crv} = jwk;
+  if(kty !== 'OKP') {
+    throw new UnsupportedKeyTypeError(
+      '"kty" is required to be "OKP".', {code: 'invalidPublicKeyType'});
+  }
+  if(crv !== 'Ed25519') {
+    throw new UnsupportedKeyTypeError(
+      '"crv" is required to be "Ed25519".', {code: 'invalidPublicKeyType'});
+  }
+  // `x` is optional only in a private key JWK
+  const {x, d} = jwk;
+  if(!(typeof x === 'string' || (x === undefined && d !== undefined))) {
+    throw new KeyFormatError(
+      '"x" must be a base64url encoded public key.',
+      {code: 'invalidPublicKey'});
+  }
 }
 
 // encode a multibase base58-btc multicodec key
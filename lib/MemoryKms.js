@@ -0,0 +1,87 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {Ed25519VerificationKey2020} from './Ed25519VerificationKey2020.js';
+
+// identifier prefix for keys stored in a `MemoryKms`
+const KEY_ID_PREFIX = 'urn:memory-kms:';
+
+export class MemoryKms {
+  /**
+   * A minimal in-memory key management system for Ed25519 keys, meant as a
+   * stand-in for a real KMS or HSM in tests and examples. Private keys never
+   * leave the instance; only public key descriptions and signatures do.
+   *
+   * @example
+   * > const kms = new MemoryKms();
+   * > const key = await kms.generateKey();
+   * > const keyPair = new Ed25519VerificationKey2020({
+   *   controller: 'did:ex:1234',
+   *   publicKeyMultibase: key.publicKeyMultibase,
+   *   signer: key
+   * });
+   */
+  constructor() {
+    this._keys = new Map();
+  }
+
+  /**
+   * Generates a new key and stores it.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {Uint8Array} [options.seed] - A 32-byte array seed for a
+   *   deterministic key.
+   *
+   * @returns {Promise<object>} Resolves with the key (see `getKey()`).
+   */
+  async generateKey({seed} = {}) {
+    const keyPair = await Ed25519VerificationKey2020.generate({seed});
+    const id = KEY_ID_PREFIX + keyPair.fingerprint();
+    this._keys.set(id, keyPair);
+    return this.getKey({id});
+  }
+
+  /**
+   * Gets a stored key.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.id - The key ID.
+   *
+   * @returns {Promise<{id: string, type: string, publicKeyMultibase: string,
+   *   sign: Function}>} Resolves with the key ID, type, public key and a
+   *   `sign({data})` function that signs using this KMS.
+   */
+  async getKey({id} = {}) {
+    const {publicKeyMultibase} = this._getKeyPair({id});
+    const kms = this;
+    return {
+      id,
+      type: Ed25519VerificationKey2020.suite,
+      publicKeyMultibase,
+      async sign({data}) {
+        return kms.sign({keyId: id, data});
+      }
+    };
+  }
+
+  /**
+   * Signs data using a stored key.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.keyId - The key ID.
+   * @param {Uint8Array} options.data - The data to sign.
+   *
+   * @returns {Promise<Uint8Array>} Resolves with the signature.
+   */
+  async sign({keyId, data} = {}) {
+    return this._getKeyPair({id: keyId}).signer().sign({data});
+  }
+
+  _getKeyPair({id}) {
+    const keyPair = this._keys.get(id);
+    if(!keyPair) {
+      throw new Error(`Key "${id}" not found.`);
+    }
+    return keyPair;
+  }
+}
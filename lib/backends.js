@@ -0,0 +1,187 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import defaultBackend from './ed25519.js';
+import nobleBackend from './ed25519-browser.js';
+import webcryptoBackend from './ed25519-webcrypto.js';
+
+// functions every backend must provide
+const REQUIRED_FUNCTIONS = [
+  'generateKeyPair', 'generateKeyPairFromSeed', 'sign', 'verify',
+  'sha256digest'
+];
+// functions a backend may provide, e.g., for X25519 key conversion, BIP-39
+// and SLIP-0010 derivation or private key encryption
+const OPTIONAL_FUNCTIONS = [
+  'createSha512', 'randomBytes', 'hmacSha512', 'pbkdf2', 'encryptAesGcm',
+  'decryptAesGcm', 'convertPublicKeyToX25519', 'convertSecretKeyToX25519'
+];
+
+// registered backends by name (`node` (node:crypto, Node.js only), `noble`
+// (`@noble/ed25519`) and `webcrypto`); the platform default is `node` in
+// Node.js and `noble` in browsers
+const backends = new Map();
+let defaultBackendName = defaultBackend.name;
+
+/**
+ * Registers a crypto backend. A backend is an object with the async
+ * functions `generateKeyPair()`, `generateKeyPairFromSeed(seed)`,
+ * `sign(secretKey, data, options)`, `verify(publicKey, data, signature,
+ * options)` and `sha256digest({data})`. Other functions (e.g.,
+ * `verifyBatch()`, `randomBytes()` or the X25519 conversions) are optional;
+ * a missing `verifyBatch()` verifies each item with `verify()` and the
+ * others throw when called, unless `inheritDefaults` is set, in which case
+ * they are taken from the platform default backend.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.name - The backend name.
+ * @param {object} options.backend - The backend.
+ * @param {boolean} [options.inheritDefaults=false] - Use the platform
+ *   default backend's functions for optional functions the backend does not
+ *   provide?
+ *
+ * @throws {TypeError} If the backend is missing a required function.
+ */
+export function registerBackend({
+  name, backend, inheritDefaults = false
+} = {}) {
+  if(!(typeof name === 'string' && name)) {
+    throw new TypeError('"name" must be a non-empty string.');
+  }
+  for(const fn of REQUIRED_FUNCTIONS) {
+    if(typeof backend?.[fn] !== 'function') {
+      throw new TypeError(`"backend" must have a "${fn}" function.`);
+    }
+  }
+  const defaults = {};
+  for(const fn of OPTIONAL_FUNCTIONS) {
+    defaults[fn] = inheritDefaults ? defaultBackend[fn] : () => {
+      throw new Error(`Backend "${name}" does not provide "${fn}()".`);
+    };
+  }
+  backends.set(name, {
+    ...defaults,
+    verifyBatch: _verifyBatch,
+    ...backend,
+    name
+  });
+}
+
+/**
+ * Selects the backend used by key pairs without a `backend` option.
+ *
+ * @param {string} name - The name of a registered backend.
+ */
+export function setBackend(name) {
+  getBackend(name);
+  defaultBackendName = name;
+}
+
+/**
+ * Returns a registered backend.
+ *
+ * @param {string} [name] - The backend name; defaults to the selected
+ *   backend (see `setBackend()`).
+ *
+ * @throws {Error} If no backend with the name is registered.
+ *
+ * @returns {object} The backend.
+ */
+export function getBackend(name = defaultBackendName) {
+  const backend = backends.get(name);
+  if(!backend) {
+    throw new Error(`Backend "${name}" is not registered.`);
+  }
+  return backend;
+}
+
+/**
+ * Checks a backend against known answers for key generation, signing,
+ * verification and SHA-256 (the conformance suite every backend must pass).
+ *
+ * @param {string|object} backend - The name of a registered backend or a
+ *   backend.
+ *
+ * @throws {Error} If a check fails; the message names the check.
+ *
+ * @returns {Promise<undefined>} Resolves on success.
+ */
+export async function assertBackend(backend) {
+  if(typeof backend === 'string') {
+    backend = getBackend(backend);
+  }
+  // RFC 8032 section 7.1 TEST 1 and FIPS 180-2 appendix B.1
+  const seed = base64url.decode('nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A');
+  const publicKey = base64url.decode(
+    '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo');
+  const signature = base64url.decode(
+    '5VZDAMNgrHKQhuLMgG6CioSHfx645dl02HPgZSJJAVVfuIIVkKM7rMYeOXAc-bRr0lv18Fl' +
+    'bviRlUUFDjnoQCw');
+  const sha256 = base64url.decode(
+    'ungWv48Bz-pBQUDeXa4iI7ADYaOWF3qctBD_YfIAFa0');
+  const data = new Uint8Array();
+  const checks = {
+    async generateKeyPairFromSeed() {
+      const keyPair = await backend.generateKeyPairFromSeed(seed);
+      return _isEqual(keyPair.publicKey, publicKey) &&
+        _isEqual(keyPair.secretKey, [...seed, ...publicKey]);
+    },
+    async generateKeyPair() {
+      const keyPair1 = await backend.generateKeyPair();
+      const keyPair2 = await backend.generateKeyPair();
+      return keyPair1.publicKey.length === 32 &&
+        keyPair1.secretKey.length === 64 &&
+        _isEqual(keyPair1.secretKey.subarray(32), keyPair1.publicKey) &&
+        !_isEqual(keyPair1.publicKey, keyPair2.publicKey);
+    },
+    async sign() {
+      const secretKey = new Uint8Array([...seed, ...publicKey]);
+      return _isEqual(await backend.sign(secretKey, data), signature);
+    },
+    async verify() {
+      const forged = new Uint8Array(signature);
+      forged[0] ^= 1;
+      return await backend.verify(publicKey, data, signature) === true &&
+        await backend.verify(publicKey, data, forged) === false &&
+        await backend.verify(publicKey, new Uint8Array(1), signature) ===
+          false;
+    },
+    async sha256digest() {
+      const digest = await backend.sha256digest({
+        data: new TextEncoder().encode('abc')
+      });
+      return _isEqual(new Uint8Array(digest), sha256);
+    }
+  };
+  for(const [name, check] of Object.entries(checks)) {
+    let passed = false;
+    try {
+      passed = await check();
+    } catch(e) {
+      throw new Error(`Backend check "${name}" failed: ${e.message}`,
+        {cause: e});
+    }
+    if(!passed) {
+      throw new Error(`Backend check "${name}" failed.`);
+    }
+  }
+}
+
+// verifies each item with the backend's `verify()`
+async function _verifyBatch(items, options) {
+  return Promise.all(items.map(({publicKey, data, signature}) =>
+    this.verify(publicKey, data, signature, options).catch(() => false)));
+}
+
+function _isEqual(bytes1, bytes2) {
+  return bytes1.length === bytes2.length &&
+    bytes1.every((b, i) => b === bytes2[i]);
+}
+
+registerBackend({name: defaultBackend.name, backend: defaultBackend});
+// in browsers, `./ed25519.js` is the noble backend itself
+registerBackend({name: nobleBackend.name, backend: nobleBackend});
+registerBackend({
+  name: 'webcrypto', backend: webcryptoBackend, inheritDefaults: true
+});
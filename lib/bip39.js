@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {ENGLISH_WORDLIST} from './bip39-english.js';
+import {KeyFormatError} from './errors.js';
+
+// BIP-39 mnemonic codes (English wordlist); each word encodes 11 bits of
+// entropy followed by a checksum of one bit per 32 bits of entropy
+// see: https://github.com/bitcoin/bips/blob/master/bip-0039.mediawiki
+
+// the numbers of words of 128, 160, 192, 224 and 256 bits of entropy
+const WORD_COUNTS = [12, 15, 18, 21, 24];
+const PBKDF2_ITERATIONS = 2048;
+
+const WORD_INDEXES = new Map(ENGLISH_WORDLIST.map((word, i) => [word, i]));
+
+/**
+ * Encodes entropy as a mnemonic.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.entropy - 16 to 32 bytes (a multiple of 4) of
+ *   entropy.
+ * @param {object} options.backend - The crypto backend.
+ *
+ * @returns {Promise<string>} The mnemonic, words separated by spaces.
+ */
+export async function entropyToMnemonic({entropy, backend}) {
+  if(!(entropy instanceof Uint8Array &&
+    WORD_COUNTS.includes(entropy.length * 3 / 4))) {
+    throw new TypeError(
+      '"entropy" must be a Uint8Array of 16, 20, 24, 28 or 32 bytes.');
+  }
+  const bits = _toBits(entropy) +
+    (await _checksum({entropy, backend})).slice(0, entropy.length / 4);
+  return bits.match(/.{11}/g)
+    .map(index => ENGLISH_WORDLIST[parseInt(index, 2)]).join(' ');
+}
+
+/**
+ * Decodes a mnemonic into its entropy, checking its checksum.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.mnemonic - The mnemonic.
+ * @param {object} options.backend - The crypto backend.
+ *
+ * @throws {KeyFormatError} With code `invalidMnemonic` if the mnemonic has
+ *   an invalid number of words, an unknown word or an invalid checksum.
+ *
+ * @returns {Promise<Uint8Array>} The entropy.
+ */
+export async function mnemonicToEntropy({mnemonic, backend}) {
+  const words = _words(mnemonic);
+  if(!WORD_COUNTS.includes(words.length)) {
+    throw new KeyFormatError(
+      'Mnemonic must have 12, 15, 18, 21 or 24 words.',
+      {code: 'invalidMnemonic'});
+  }
+  const bits = words.map(word => {
+    const index = WORD_INDEXES.get(word);
+    if(index === undefined) {
+      throw new KeyFormatError(
+        `Mnemonic word "${word}" is not in the BIP-39 English wordlist.`,
+        {code: 'invalidMnemonic'});
+    }
+    return index.toString(2).padStart(11, '0');
+  }).join('');
+  const checksumLength = words.length / 3;
+  const entropyBits = bits.slice(0, -checksumLength);
+  const entropy = Uint8Array.from(
+    entropyBits.match(/.{8}/g), byte => parseInt(byte, 2));
+  const checksum = await _checksum({entropy, backend});
+  if(bits.slice(-checksumLength) !== checksum.slice(0, checksumLength)) {
+    throw new KeyFormatError(
+      'Mnemonic checksum is invalid.', {code: 'invalidMnemonic'});
+  }
+  return entropy;
+}
+
+/**
+ * Derives the 64-byte BIP-39 seed of a mnemonic (PBKDF2-HMAC-SHA-512 with
+ * 2048 iterations); the mnemonic is validated first.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.mnemonic - The mnemonic.
+ * @param {string} [options.passphrase=''] - The optional BIP-39 passphrase.
+ * @param {object} options.backend - The crypto backend.
+ *
+ * @throws {KeyFormatError} If the mnemonic is invalid.
+ *
+ * @returns {Promise<Uint8Array>} The seed.
+ */
+export async function mnemonicToSeed({mnemonic, passphrase = '', backend}) {
+  if(typeof passphrase !== 'string') {
+    throw new TypeError('"passphrase" must be a string.');
+  }
+  await mnemonicToEntropy({mnemonic, backend});
+  const encoder = new TextEncoder();
+  return backend.pbkdf2({
+    password: encoder.encode(_words(mnemonic).join(' ')),
+    salt: encoder.encode(('mnemonic' + passphrase).normalize('NFKD')),
+    iterations: PBKDF2_ITERATIONS,
+    hash: 'SHA-512',
+    length: 64
+  });
+}
+
+// the bits of the SHA-256 digest of the entropy, as a string of 0s and 1s
+async function _checksum({entropy, backend}) {
+  return _toBits(new Uint8Array(await backend.sha256digest({data: entropy})));
+}
+
+function _toBits(bytes) {
+  return Array.from(bytes, byte => byte.toString(2).padStart(8, '0'))
+    .join('');
+}
+
+function _words(mnemonic) {
+  if(typeof mnemonic !== 'string') {
+    throw new TypeError('"mnemonic" must be a string.');
+  }
+  return mnemonic.normalize('NFKD').trim().split(/\s+/);
+}
@@ -0,0 +1,241 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {concatBytes} from './util.js';
+import {KeyFormatError} from './errors.js';
+
+// a minimal CBOR (RFC 8949) codec for COSE structures: integers (within the
+// safe integer range), byte and text strings, arrays, maps, tags and the
+// simple values `false`, `true`, `null` and `undefined`; floating-point
+// numbers and indefinite-length items are not supported. Maps are decoded as
+// `Map`s since COSE map labels are usually integers
+
+const MAJOR_TYPE_UNSIGNED = 0;
+const MAJOR_TYPE_NEGATIVE = 1;
+const MAJOR_TYPE_BYTES = 2;
+const MAJOR_TYPE_TEXT = 3;
+const MAJOR_TYPE_ARRAY = 4;
+const MAJOR_TYPE_MAP = 5;
+const MAJOR_TYPE_TAG = 6;
+const MAJOR_TYPE_SIMPLE = 7;
+
+// maximum nesting depth of decoded arrays, maps and tags, so that untrusted
+// data cannot exhaust the stack; COSE structures are nested a few levels deep
+const MAX_DEPTH = 16;
+
+const SIMPLE_VALUES = new Map([
+  [20, false], [21, true], [22, null], [23, undefined]
+]);
+
+/**
+ * A CBOR tagged value.
+ */
+export class Tagged {
+  /**
+   * @param {number} tag - The tag number.
+   * @param {*} value - The tagged value.
+   */
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+/**
+ * Encodes a value as CBOR. Map entries are encoded in insertion order;
+ * plain objects are encoded as maps with text keys.
+ *
+ * @param {*} value - The value to encode.
+ *
+ * @returns {Uint8Array} The CBOR encoding.
+ */
+export function encode(value) {
+  const chunks = [];
+  _encode(value, chunks);
+  return concatBytes(chunks);
+}
+
+/**
+ * Decodes a single CBOR data item.
+ *
+ * @param {Uint8Array} bytes - The CBOR encoding.
+ *
+ * @throws {KeyFormatError} With code `invalidCbor` if arrays, maps and tags
+ *   are nested more than 16 levels deep.
+ * @throws {Error} If the bytes are not a single, supported CBOR data item.
+ *
+ * @returns {*} The decoded value.
+ */
+export function decode(bytes) {
+  if(!(bytes instanceof Uint8Array)) {
+    throw new TypeError('CBOR data must be a Uint8Array.');
+  }
+  const state = {
+    bytes, offset: 0,
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.length)
+  };
+  const value = _decode(state, 0);
+  if(state.offset !== bytes.length) {
+    throw new Error('Invalid CBOR: unexpected data after the data item.');
+  }
+  return value;
+}
+
+function _encode(value, chunks) {
+  if(typeof value === 'number') {
+    if(!Number.isSafeInteger(value)) {
+      throw new TypeError('Only safe integers can be encoded as CBOR.');
+    }
+    return value >= 0 ?
+      _encodeHead(MAJOR_TYPE_UNSIGNED, value, chunks) :
+      _encodeHead(MAJOR_TYPE_NEGATIVE, -1 - value, chunks);
+  }
+  if(value instanceof Uint8Array) {
+    _encodeHead(MAJOR_TYPE_BYTES, value.length, chunks);
+    return chunks.push(value);
+  }
+  if(typeof value === 'string') {
+    const bytes = new TextEncoder().encode(value);
+    _encodeHead(MAJOR_TYPE_TEXT, bytes.length, chunks);
+    return chunks.push(bytes);
+  }
+  if(Array.isArray(value)) {
+    _encodeHead(MAJOR_TYPE_ARRAY, value.length, chunks);
+    return value.forEach(item => _encode(item, chunks));
+  }
+  if(value instanceof Tagged) {
+    _encodeHead(MAJOR_TYPE_TAG, value.tag, chunks);
+    return _encode(value.value, chunks);
+  }
+  for(const [simple, simpleValue] of SIMPLE_VALUES) {
+    if(value === simpleValue) {
+      return _encodeHead(MAJOR_TYPE_SIMPLE, simple, chunks);
+    }
+  }
+  if(value instanceof Map || typeof value === 'object') {
+    const entries = value instanceof Map ?
+      [...value.entries()] : Object.entries(value);
+    _encodeHead(MAJOR_TYPE_MAP, entries.length, chunks);
+    for(const [key, entryValue] of entries) {
+      _encode(key, chunks);
+      _encode(entryValue, chunks);
+    }
+    return;
+  }
+  throw new TypeError(`Unsupported CBOR value type "${typeof value}".`);
+}
+
+// encodes a major type and argument in the shortest form
+function _encodeHead(majorType, argument, chunks) {
+  const type = majorType << 5;
+  if(argument < 24) {
+    return chunks.push(new Uint8Array([type | argument]));
+  }
+  if(argument < 0x100) {
+    return chunks.push(new Uint8Array([type | 24, argument]));
+  }
+  if(argument < 0x10000) {
+    return chunks.push(
+      new Uint8Array([type | 25, argument >> 8, argument & 0xff]));
+  }
+  const head = new Uint8Array(argument < 0x100000000 ? 5 : 9);
+  const view = new DataView(head.buffer);
+  if(head.length === 5) {
+    head[0] = type | 26;
+    view.setUint32(1, argument);
+  } else {
+    head[0] = type | 27;
+    view.setUint32(1, argument / 0x100000000);
+    view.setUint32(5, argument >>> 0);
+  }
+  chunks.push(head);
+}
+
+function _decode(state, depth) {
+  const {majorType, argument} = _decodeHead(state);
+  if(depth === MAX_DEPTH && (majorType === MAJOR_TYPE_ARRAY ||
+    majorType === MAJOR_TYPE_MAP || majorType === MAJOR_TYPE_TAG)) {
+    throw new KeyFormatError(
+      `Invalid CBOR: nesting depth exceeds ${MAX_DEPTH}.`,
+      {code: 'invalidCbor'});
+  }
+  switch(majorType) {
+    case MAJOR_TYPE_UNSIGNED:
+      return argument;
+    case MAJOR_TYPE_NEGATIVE:
+      return -1 - argument;
+    case MAJOR_TYPE_BYTES:
+      return _read(state, argument).slice();
+    case MAJOR_TYPE_TEXT:
+      return new TextDecoder('utf-8', {fatal: true})
+        .decode(_read(state, argument));
+    case MAJOR_TYPE_ARRAY: {
+      const array = [];
+      for(let i = 0; i < argument; ++i) {
+        array.push(_decode(state, depth + 1));
+      }
+      return array;
+    }
+    case MAJOR_TYPE_MAP: {
+      const map = new Map();
+      for(let i = 0; i < argument; ++i) {
+        const key = _decode(state, depth + 1);
+        if(map.has(key)) {
+          throw new Error('Invalid CBOR: duplicate map key.');
+        }
+        map.set(key, _decode(state, depth + 1));
+      }
+      return map;
+    }
+    case MAJOR_TYPE_TAG:
+      return new Tagged(argument, _decode(state, depth + 1));
+    default:
+      if(!SIMPLE_VALUES.has(argument)) {
+        throw new Error('Unsupported CBOR simple value or float.');
+      }
+      return SIMPLE_VALUES.get(argument);
+  }
+}
+
+function _decodeHead(state) {
+  const [initial] = _read(state, 1);
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+  if(info < 24) {
+    return {majorType, argument: info};
+  }
+  if(majorType === MAJOR_TYPE_SIMPLE && info !== 24) {
+    throw new Error('Unsupported CBOR simple value or float.');
+  }
+  const {view} = state;
+  const offset = state.offset;
+  let argument;
+  if(info === 24) {
+    argument = _read(state, 1)[0];
+  } else if(info === 25) {
+    _read(state, 2);
+    argument = view.getUint16(offset);
+  } else if(info === 26) {
+    _read(state, 4);
+    argument = view.getUint32(offset);
+  } else if(info === 27) {
+    _read(state, 8);
+    argument = view.getUint32(offset) * 0x100000000 +
+      view.getUint32(offset + 4);
+    if(!Number.isSafeInteger(argument)) {
+      throw new Error('Unsupported CBOR integer (too large).');
+    }
+  } else {
+    throw new Error('Unsupported CBOR indefinite length or reserved value.');
+  }
+  return {majorType, argument};
+}
+
+function _read(state, length) {
+  if(state.offset + length > state.bytes.length) {
+    throw new Error('Invalid CBOR: unexpected end of data.');
+  }
+  const bytes = state.bytes.subarray(state.offset, state.offset + length);
+  state.offset += length;
+  return bytes;
+}
@@ -0,0 +1,241 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as cbor from './cbor.js';
+import {
+  KeyFormatError, KeyLengthError, UnsupportedKeyTypeError
+} from './errors.js';
+
+// COSE (RFC 9052, RFC 9053) Ed25519 keys and COSE_Sign1 signatures
+
+// EdDSA algorithm identifier
+export const ALGORITHM = -8;
+const COSE_SIGN1_TAG = 18;
+
+// COSE_Key labels and values
+const KEY_TYPE = 1;
+const KEY_ID = 2;
+const KEY_ALGORITHM = 3;
+const KEY_CURVE = -1;
+const KEY_X = -2;
+const KEY_D = -4;
+const KEY_TYPE_OKP = 1;
+const CURVE_ED25519 = 6;
+
+// header parameter labels
+const HEADER_ALGORITHM = 1;
+const HEADER_CRITICAL = 2;
+const HEADER_KEY_ID = 4;
+
+/**
+ * Encodes an Ed25519 COSE_Key (`kty` OKP, `crv` Ed25519).
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key (`x`).
+ * @param {Uint8Array} [options.seed] - The 32-byte private key (`d`).
+ * @param {Uint8Array} [options.kid] - The key ID.
+ *
+ * @returns {Uint8Array} The CBOR encoded COSE_Key.
+ */
+export function encodeKey({publicKey, seed, kid}) {
+  const coseKey = new Map([[KEY_TYPE, KEY_TYPE_OKP]]);
+  if(kid !== undefined) {
+    coseKey.set(KEY_ID, kid);
+  }
+  coseKey.set(KEY_ALGORITHM, ALGORITHM);
+  coseKey.set(KEY_CURVE, CURVE_ED25519);
+  coseKey.set(KEY_X, publicKey);
+  if(seed !== undefined) {
+    coseKey.set(KEY_D, seed);
+  }
+  return cbor.encode(coseKey);
+}
+
+/**
+ * Decodes an Ed25519 COSE_Key.
+ *
+ * @param {Uint8Array|Map} coseKey - The CBOR encoded or decoded COSE_Key.
+ *
+ * @throws {KeyFormatError} If the COSE_Key is malformed.
+ * @throws {UnsupportedKeyTypeError} If the COSE_Key is not an Ed25519 key.
+ *
+ * @returns {{publicKey: Uint8Array, seed: Uint8Array, kid: Uint8Array}} The
+ *   public key, the private key (seed) and the key ID; `seed` and `kid` are
+ *   `undefined` if not present.
+ */
+export function decodeKey(coseKey) {
+  if(coseKey instanceof Uint8Array) {
+    try {
+      coseKey = cbor.decode(coseKey);
+    } catch(e) {
+      throw new KeyFormatError(
+        'COSE_Key must be a CBOR map.', {code: 'invalidPublicKey', cause: e});
+    }
+  }
+  if(!(coseKey instanceof Map)) {
+    throw new KeyFormatError(
+      'COSE_Key must be a CBOR map.', {code: 'invalidPublicKey'});
+  }
+  if(coseKey.get(KEY_TYPE) !== KEY_TYPE_OKP ||
+    coseKey.get(KEY_CURVE) !== CURVE_ED25519) {
+    throw new UnsupportedKeyTypeError(
+      'COSE_Key must have "kty" OKP (1) and "crv" Ed25519 (6).',
+      {code: 'invalidPublicKeyType'});
+  }
+  if(coseKey.has(KEY_ALGORITHM) && coseKey.get(KEY_ALGORITHM) !== ALGORITHM) {
+    throw new UnsupportedKeyTypeError(
+      'COSE_Key "alg" must be EdDSA (-8).', {code: 'invalidPublicKeyType'});
+  }
+  const publicKey = coseKey.get(KEY_X);
+  if(!(publicKey instanceof Uint8Array)) {
+    throw new KeyFormatError(
+      'COSE_Key "x" must be a byte string.', {code: 'invalidPublicKey'});
+  }
+  const seed = coseKey.get(KEY_D);
+  if(seed !== undefined &&
+    !(seed instanceof Uint8Array && seed.length === 32)) {
+    throw new KeyLengthError(
+      'COSE_Key "d" must be a 32-byte private key.',
+      {code: 'invalidPrivateKeyLength'});
+  }
+  const kid = coseKey.get(KEY_ID);
+  if(kid !== undefined && !(kid instanceof Uint8Array)) {
+    throw new KeyFormatError(
+      'COSE_Key "kid" must be a byte string.', {code: 'invalidPublicKey'});
+  }
+  return {publicKey, seed, kid};
+}
+
+/**
+ * Creates a COSE_Sign1 signature (RFC 9052 section 4.2) with `alg` EdDSA.
+ *
+ * @param {object} options - Options to use.
+ * @param {{sign: Function}} options.signer - The signer.
+ * @param {Uint8Array|string} options.payload - The payload.
+ * @param {Map|object} [options.protectedHeader={}] - Additional protected
+ *   header parameters; object keys that are integers are used as integer
+ *   labels.
+ * @param {Map|object} [options.unprotectedHeader={}] - Unprotected header
+ *   parameters.
+ * @param {Uint8Array} [options.externalAad] - Externally supplied data that
+ *   is signed but not included in the signature.
+ * @param {boolean} [options.detached=false] - Omit the payload (`nil`)?
+ * @param {Uint8Array} [options.kid] - A key ID to add to the protected
+ *   header unless either header has a `kid` (4).
+ *
+ * @returns {Promise<Uint8Array>} The tagged CBOR encoded COSE_Sign1.
+ */
+export async function sign1({
+  signer, payload, protectedHeader = {}, unprotectedHeader = {},
+  externalAad, detached = false, kid
+}) {
+  const header = _headerMap(protectedHeader);
+  const unprotected = _headerMap(unprotectedHeader);
+  if(header.has(HEADER_ALGORITHM) &&
+    header.get(HEADER_ALGORITHM) !== ALGORITHM) {
+    throw new Error('COSE "alg" must be EdDSA (-8).');
+  }
+  header.delete(HEADER_ALGORITHM);
+  if(kid !== undefined &&
+    !(header.has(HEADER_KEY_ID) || unprotected.has(HEADER_KEY_ID))) {
+    header.set(HEADER_KEY_ID, kid);
+  }
+  const protectedBytes = cbor.encode(
+    new Map([[HEADER_ALGORITHM, ALGORITHM], ...header]));
+  const payloadBytes = _payloadBytes(payload);
+  const signature = await signer.sign({
+    data: _sigStructure({protectedBytes, externalAad, payload: payloadBytes})
+  });
+  return cbor.encode(new cbor.Tagged(COSE_SIGN1_TAG, [
+    protectedBytes,
+    unprotected,
+    detached ? null : payloadBytes,
+    signature
+  ]));
+}
+
+/**
+ * Verifies a COSE_Sign1 signature with `alg` EdDSA.
+ *
+ * @param {object} options - Options to use.
+ * @param {{verify: Function}} options.verifier - The verifier.
+ * @param {Uint8Array} options.cose - The (tagged or untagged) CBOR encoded
+ *   COSE_Sign1.
+ * @param {Uint8Array|string} [options.payload] - The payload; required if
+ *   the payload is detached.
+ * @param {Uint8Array} [options.externalAad] - The externally supplied data.
+ *
+ * @throws {Error} If the COSE_Sign1 is malformed or uses an unsupported
+ *   algorithm or critical header parameter.
+ *
+ * @returns {Promise<boolean>} Resolves with the verification result.
+ */
+export async function verify1({verifier, cose, payload, externalAad}) {
+  let message = cbor.decode(cose);
+  if(message instanceof cbor.Tagged) {
+    if(message.tag !== COSE_SIGN1_TAG) {
+      throw new Error('COSE message must be a COSE_Sign1 (tag 18).');
+    }
+    message = message.value;
+  }
+  if(!(Array.isArray(message) && message.length === 4)) {
+    throw new Error('COSE_Sign1 must be an array of four items.');
+  }
+  const [protectedBytes, , embeddedPayload, signature] = message;
+  if(!(protectedBytes instanceof Uint8Array &&
+    signature instanceof Uint8Array)) {
+    throw new Error('COSE_Sign1 is malformed.');
+  }
+  const header = protectedBytes.length === 0 ?
+    new Map() : cbor.decode(protectedBytes);
+  if(!(header instanceof Map) ||
+    header.get(HEADER_ALGORITHM) !== ALGORITHM) {
+    throw new Error('COSE "alg" must be EdDSA (-8).');
+  }
+  if(header.has(HEADER_CRITICAL)) {
+    throw new Error('COSE "crit" header parameters are not supported.');
+  }
+  let signedPayload = embeddedPayload;
+  if(embeddedPayload === null) {
+    if(payload === undefined) {
+      throw new TypeError('"payload" is required for a detached COSE_Sign1.');
+    }
+    signedPayload = _payloadBytes(payload);
+  } else if(!(embeddedPayload instanceof Uint8Array)) {
+    throw new Error('COSE_Sign1 is malformed.');
+  }
+  return verifier.verify({
+    data: _sigStructure({protectedBytes, externalAad, payload: signedPayload}),
+    signature
+  });
+}
+
+// Sig_structure = ["Signature1", body_protected, external_aad, payload]
+function _sigStructure({
+  protectedBytes, externalAad = new Uint8Array(), payload
+}) {
+  return cbor.encode(['Signature1', protectedBytes, externalAad, payload]);
+}
+
+// header parameters as a map with integer or text labels
+function _headerMap(header) {
+  if(header instanceof Map) {
+    return new Map(header);
+  }
+  if(!(header && typeof header === 'object')) {
+    throw new TypeError('COSE headers must be a Map or an object.');
+  }
+  return new Map(Object.entries(header).map(([label, value]) => [
+    /^-?[0-9]+$/.test(label) ? Number(label) : label, value
+  ]));
+}
+
+function _payloadBytes(payload) {
+  if(typeof payload === 'string') {
+    return new TextEncoder().encode(payload);
+  }
+  if(!(payload instanceof Uint8Array)) {
+    throw new TypeError('"payload" must be a string or Uint8Array.');
+  }
+  return payload;
+}
@@ -0,0 +1,267 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {base64Decode, base64Encode, concatBytes} from './util.js';
+
+// DER encoded prefix of an Ed25519 PKCS#8 v1 private key (RFC 8410)
+export const DER_PRIVATE_KEY_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06,
+  0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20
+]);
+// DER encoded prefix of an Ed25519 SubjectPublicKeyInfo (RFC 8410)
+export const DER_PUBLIC_KEY_PREFIX = new Uint8Array([
+  0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65,
+  0x70, 0x03, 0x21, 0x00
+]);
+
+// DER encoded Ed25519 AlgorithmIdentifier (OID 1.3.101.112, no parameters)
+const ED25519_ALGORITHM_IDENTIFIER = new Uint8Array([
+  0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70
+]);
+
+// ASN.1 tags
+const TAG_INTEGER = 0x02;
+const TAG_BIT_STRING = 0x03;
+const TAG_OCTET_STRING = 0x04;
+const TAG_SEQUENCE = 0x30;
+// OneAsymmetricKey `attributes [0] IMPLICIT` (constructed)
+const TAG_ATTRIBUTES = 0xa0;
+// OneAsymmetricKey `publicKey [1] IMPLICIT BIT STRING`
+const TAG_PUBLIC_KEY = 0x81;
+
+// PEM labels
+const PEM_PUBLIC_KEY_LABEL = 'PUBLIC KEY';
+const PEM_PRIVATE_KEY_LABEL = 'PRIVATE KEY';
+
+/**
+ * Encodes an Ed25519 public key as a DER SubjectPublicKeyInfo.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc8410#section-4
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ *
+ * @returns {Uint8Array} The DER encoded SubjectPublicKeyInfo.
+ */
+export function encodeSpki({publicKey}) {
+  return concatBytes([DER_PUBLIC_KEY_PREFIX, publicKey]);
+}
+
+/**
+ * Encodes an Ed25519 private key as a DER PKCS#8 (RFC 5958
+ * OneAsymmetricKey) private key. If a public key is given, a version 2
+ * structure including the public key is produced.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc8410#section-7
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.seed - The 32-byte private key seed.
+ * @param {Uint8Array} [options.publicKey] - The 32-byte public key.
+ *
+ * @returns {Uint8Array} The DER encoded private key.
+ */
+export function encodePkcs8({seed, publicKey}) {
+  if(!publicKey) {
+    return concatBytes([DER_PRIVATE_KEY_PREFIX, seed]);
+  }
+  const contents = concatBytes([
+    // version 2 is encoded as `1`
+    new Uint8Array([TAG_INTEGER, 0x01, 0x01]),
+    ED25519_ALGORITHM_IDENTIFIER,
+    // `CurvePrivateKey ::= OCTET STRING` wrapped in an OCTET STRING
+    new Uint8Array([TAG_OCTET_STRING, 0x22, TAG_OCTET_STRING, 0x20]),
+    seed,
+    new Uint8Array([TAG_PUBLIC_KEY, 0x21, 0x00]),
+    publicKey
+  ]);
+  return concatBytes([
+    new Uint8Array([TAG_SEQUENCE, contents.length]), contents
+  ]);
+}
+
+/**
+ * Decodes a DER Ed25519 SubjectPublicKeyInfo.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.der - The DER encoded SubjectPublicKeyInfo.
+ *
+ * @throws {Error} If the DER is not an Ed25519 SubjectPublicKeyInfo.
+ *
+ * @returns {{publicKey: Uint8Array}} The 32-byte public key.
+ */
+export function decodeSpki({der}) {
+  const spki = _readElement({bytes: der, tag: TAG_SEQUENCE, isRoot: true});
+  const algorithm = _readElement({bytes: spki.value, tag: TAG_SEQUENCE});
+  _assertEd25519Algorithm(algorithm);
+  const publicKey = _readElement({
+    bytes: spki.value, offset: algorithm.end, tag: TAG_BIT_STRING
+  });
+  if(publicKey.end !== spki.value.length) {
+    throw new Error('Invalid DER: unexpected data after public key.');
+  }
+  return {publicKey: _readPublicKeyBits(publicKey.value)};
+}
+
+/**
+ * Decodes a DER Ed25519 PKCS#8 (RFC 5958 OneAsymmetricKey) private key,
+ * version 1 or 2.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.der - The DER encoded private key.
+ *
+ * @throws {Error} If the DER is not an Ed25519 PKCS#8 private key.
+ *
+ * @returns {{seed: Uint8Array, publicKey: (Uint8Array|undefined)}} The
+ *   32-byte private key seed and, if present, the 32-byte public key.
+ */
+export function decodePkcs8({der}) {
+  const {value} = _readElement({bytes: der, tag: TAG_SEQUENCE, isRoot: true});
+  const version = _readElement({bytes: value, tag: TAG_INTEGER});
+  if(!(version.value.length === 1 &&
+    (version.value[0] === 0 || version.value[0] === 1))) {
+    throw new Error('Invalid DER: unsupported PKCS#8 version.');
+  }
+  const algorithm = _readElement({
+    bytes: value, offset: version.end, tag: TAG_SEQUENCE
+  });
+  _assertEd25519Algorithm(algorithm);
+  const privateKey = _readElement({
+    bytes: value, offset: algorithm.end, tag: TAG_OCTET_STRING
+  });
+  const curvePrivateKey = _readElement({
+    bytes: privateKey.value, tag: TAG_OCTET_STRING, isRoot: true
+  });
+  if(curvePrivateKey.value.length !== 32) {
+    throw new Error('Invalid DER: private key must be 32 bytes.');
+  }
+  let offset = privateKey.end;
+  if(offset < value.length && value[offset] === TAG_ATTRIBUTES) {
+    // attributes are not used
+    offset = _readElement({bytes: value, offset, tag: TAG_ATTRIBUTES}).end;
+  }
+  let publicKey;
+  if(offset < value.length && version.value[0] === 1) {
+    const element = _readElement({bytes: value, offset, tag: TAG_PUBLIC_KEY});
+    publicKey = _readPublicKeyBits(element.value);
+    offset = element.end;
+  }
+  if(offset !== value.length) {
+    throw new Error('Invalid DER: unexpected data after private key.');
+  }
+  return {seed: curvePrivateKey.value, publicKey};
+}
+
+/**
+ * Decodes a DER Ed25519 SubjectPublicKeyInfo or PKCS#8 private key.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.der - The DER encoded key.
+ *
+ * @throws {Error} If the DER is not an Ed25519 key.
+ *
+ * @returns {{seed: (Uint8Array|undefined), publicKey: (Uint8Array|undefined)}}
+ *   The private key seed (for private keys) and the public key (if present).
+ */
+export function decodeDer({der}) {
+  const {value} = _readElement({bytes: der, tag: TAG_SEQUENCE, isRoot: true});
+  // a private key starts with its version, a public key with its algorithm
+  if(value[0] === TAG_INTEGER) {
+    return decodePkcs8({der});
+  }
+  return decodeSpki({der});
+}
+
+/**
+ * Encodes DER bytes as PEM.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc7468
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.der - The DER bytes.
+ * @param {boolean} [options.privateKey=false] - Whether the DER is a private
+ *   key (`PRIVATE KEY` label) or a public key (`PUBLIC KEY` label).
+ *
+ * @returns {string} The PEM encoded key.
+ */
+export function derToPem({der, privateKey = false}) {
+  const label = privateKey ? PEM_PRIVATE_KEY_LABEL : PEM_PUBLIC_KEY_LABEL;
+  const base64 = base64Encode(der);
+  const lines = base64.match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n` +
+    `-----END ${label}-----\n`;
+}
+
+/**
+ * Decodes a PEM encoded public or private key.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.pem - The PEM encoded key.
+ *
+ * @throws {Error} If the PEM is malformed or has an unsupported label.
+ *
+ * @returns {{der: Uint8Array, privateKey: boolean}} The DER bytes and
+ *   whether they are a private key.
+ */
+export function pemToDer({pem}) {
+  if(typeof pem !== 'string') {
+    throw new TypeError('"pem" must be a string.');
+  }
+  const match = pem.match(
+    /-----BEGIN ([A-Z ]+)-----([A-Za-z0-9+/=\s]+)-----END \1-----/);
+  if(!match) {
+    throw new Error('Invalid PEM encoding.');
+  }
+  const [, label, base64] = match;
+  if(!(label === PEM_PUBLIC_KEY_LABEL || label === PEM_PRIVATE_KEY_LABEL)) {
+    throw new Error(`Unsupported PEM label: "${label}".`);
+  }
+  const der = base64Decode(base64.replace(/\s/g, ''));
+  return {der, privateKey: label === PEM_PRIVATE_KEY_LABEL};
+}
+
+// reads a DER TLV element with the expected tag
+function _readElement({bytes, offset = 0, tag, isRoot = false}) {
+  if(!(bytes instanceof Uint8Array)) {
+    throw new TypeError('"der" must be a Uint8Array.');
+  }
+  if(offset + 2 > bytes.length || bytes[offset] !== tag) {
+    throw new Error('Invalid DER: unexpected tag.');
+  }
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if(length & 0x80) {
+    // long form length; more than 2 length bytes is never valid for keys
+    const count = length & 0x7f;
+    if(count === 0 || count > 2 || start + count > bytes.length) {
+      throw new Error('Invalid DER: unsupported length.');
+    }
+    length = 0;
+    for(let i = 0; i < count; ++i) {
+      length = (length << 8) | bytes[start + i];
+    }
+    start += count;
+  }
+  const end = start + length;
+  if(end > bytes.length || (isRoot && end !== bytes.length)) {
+    throw new Error('Invalid DER: invalid length.');
+  }
+  return {value: bytes.subarray(start, end), end};
+}
+
+function _assertEd25519Algorithm(algorithm) {
+  // the complete AlgorithmIdentifier element must match exactly
+  const {value} = algorithm;
+  const expected = ED25519_ALGORITHM_IDENTIFIER.subarray(2);
+  if(!(value.length === expected.length &&
+    expected.every((byte, i) => value[i] === byte))) {
+    throw new Error('Invalid DER: key algorithm is not Ed25519.');
+  }
+}
+
+// reads a public key from BIT STRING contents (unused bits byte + key)
+function _readPublicKeyBits(bits) {
+  if(!(bits.length === 33 && bits[0] === 0)) {
+    throw new Error('Invalid DER: public key must be 32 bytes.');
+  }
+  return bits.slice(1);
+}
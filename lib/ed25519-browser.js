@@ -2,34 +2,178 @@
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import {assertKeyBytes} from './validators.js';
+import {KeyFormatError} from './errors.js';
+import {bytesToNumberLE} from './edwards25519.js';
 import * as ed25519 from '@noble/ed25519';
-
-// browser MUST provide "crypto.getRandomValues"
-const crypto = globalThis.crypto;
-if(!crypto.getRandomValues) {
-  throw new Error('Browser does not provide "crypto.getRandomValues".');
-}
+import * as variants from './ed25519-variants.js';
+import {Sha512} from './sha512.js';
 
 export default {
+  name: 'noble',
   async generateKeyPair() {
     const seed = new Uint8Array(32);
-    crypto.getRandomValues(seed);
+    _crypto().getRandomValues(seed);
     const keyPair = await generateKeyPairFromSeed(seed);
     seed.fill(0);
     return keyPair;
   },
   generateKeyPairFromSeed,
-  async sign(secretKey, data) {
+  async sign(secretKey, data, {context, prehash = false, digest} = {}) {
+    if(context !== undefined || prehash) {
+      if(secretKey.length === 32) {
+        ({secretKey} = await generateKeyPairFromSeed(secretKey));
+      }
+      return variants.sign({
+        secretKey, data, context, prehash, digest, sha512: _sha512
+      });
+    }
     return ed25519.sign(data, secretKey.slice(0, 32));
   },
-  async verify(publicKey, data, signature) {
+  async verify(publicKey, data, signature, {
+    mode = 'legacy', context, prehash = false, digest
+  } = {}) {
+    if(mode !== 'legacy' || context !== undefined || prehash) {
+      return variants.verify({
+        publicKey, data, signature, context, prehash, digest, mode,
+        sha512: _sha512
+      });
+    }
     return ed25519.verify(signature, data, publicKey);
   },
+  async verifyBatch(items, {mode = 'legacy', context, prehash = false} = {}) {
+    if(mode !== 'legacy' || context !== undefined || prehash) {
+      // checks the options before verifying any item
+      variants.assertVerifyOptions({mode, context, prehash});
+      return Promise.all(items.map(({publicKey, data, signature}) =>
+        variants.verify({
+          publicKey, data, signature, context, prehash, mode, sha512: _sha512
+        }).catch(() => false)));
+    }
+    if(items.length > 1) {
+      let verified = false;
+      try {
+        verified = await _verifyBatch(items);
+      } catch(e) {
+        // an item could not be parsed; find it below
+      }
+      if(verified) {
+        return items.map(() => true);
+      }
+    }
+    // verify each item to find which ones failed
+    return Promise.all(items.map(async ({publicKey, data, signature}) => {
+      try {
+        return await ed25519.verify(signature, data, publicKey);
+      } catch(e) {
+        return false;
+      }
+    }));
+  },
   async sha256digest({data}) {
-    return crypto.subtle.digest('SHA-256', data);
+    return _crypto().subtle.digest('SHA-256', data);
+  },
+  // WebCrypto digests are not incremental
+  createSha512() {
+    return new Sha512();
+  },
+  async randomBytes(length) {
+    return _crypto().getRandomValues(new Uint8Array(length));
+  },
+  async hmacSha512({key, data}) {
+    const cryptoKey = await _crypto().subtle.importKey(
+      'raw', key, {name: 'HMAC', hash: 'SHA-512'}, false, ['sign']);
+    return new Uint8Array(await _crypto().subtle.sign('HMAC', cryptoKey, data));
+  },
+  async pbkdf2({password, salt, iterations, hash = 'SHA-256', length = 32}) {
+    const key = await _crypto().subtle.importKey(
+      'raw', password, 'PBKDF2', false, ['deriveBits']);
+    return new Uint8Array(await _crypto().subtle.deriveBits(
+      {name: 'PBKDF2', hash, salt, iterations}, key, length * 8));
+  },
+  async encryptAesGcm({key, iv, data}) {
+    const cryptoKey = await _crypto().subtle.importKey(
+      'raw', key, 'AES-GCM', false, ['encrypt']);
+    return new Uint8Array(await _crypto().subtle.encrypt(
+      {name: 'AES-GCM', iv}, cryptoKey, data));
+  },
+  async decryptAesGcm({key, iv, data}) {
+    const cryptoKey = await _crypto().subtle.importKey(
+      'raw', key, 'AES-GCM', false, ['decrypt']);
+    return new Uint8Array(await _crypto().subtle.decrypt(
+      {name: 'AES-GCM', iv}, cryptoKey, data));
+  },
+  async convertPublicKeyToX25519(publicKeyBytes) {
+    assertKeyBytes({
+      bytes: publicKeyBytes,
+      expectedLength: 32,
+      code: 'invalidPublicKeyLength'
+    });
+    try {
+      return ed25519.Point.fromHex(publicKeyBytes).toX25519();
+    } catch(e) {
+      throw new KeyFormatError(
+        '"publicKeyBytes" is not a valid Ed25519 key.',
+        {code: 'invalidPublicKey'});
+    }
+  },
+  async convertSecretKeyToX25519(secretKey) {
+    assertKeyBytes({
+      bytes: secretKey,
+      expectedLength: 64
+    });
+    // `head` is the clamped private scalar; `prefix` is the rest of the hash
+    const {head, prefix} = await ed25519.utils.getExtendedPublicKey(
+      secretKey.subarray(0, 32));
+    prefix.fill(0);
+    return head;
   }
 };
 
+// randomized batch verification: checks that
+// [8](-[sum(z_i * s_i)]B + sum([z_i]R_i + [z_i * k_i]A_i)) is the identity
+// for random 128-bit `z_i`, which holds for all items if each one verifies
+async function _verifyBatch(items) {
+  const {CURVE, ExtendedPoint, Point, Signature, utils} = ed25519;
+  const random = _crypto().getRandomValues(new Uint8Array(items.length * 16));
+  const points = [];
+  const scalars = [];
+  let s = 0n;
+  for(const [i, {publicKey, data, signature}] of items.entries()) {
+    const A = Point.fromHex(publicKey, false);
+    const {r: R, s: S} = Signature.fromHex(signature);
+    const hash = await utils.sha512(R.toRawBytes(), A.toRawBytes(), data);
+    const k = utils.mod(bytesToNumberLE(hash), CURVE.l);
+    const z = bytesToNumberLE(random.subarray(i * 16, (i + 1) * 16));
+    s = utils.mod(s + z * S, CURVE.l);
+    points.push(ExtendedPoint.fromAffine(R), ExtendedPoint.fromAffine(A));
+    scalars.push(z, utils.mod(z * k, CURVE.l));
+  }
+  return _multiScalarMultiply(points, scalars)
+    .subtract(ExtendedPoint.BASE.multiplyUnsafe(s))
+    .multiplyUnsafe(CURVE.h)
+    .equals(ExtendedPoint.ZERO);
+}
+
+// computes sum([scalars_i]points_i), sharing doublings between all points
+function _multiScalarMultiply(points, scalars) {
+  const bits = scalars.reduce(
+    (max, scalar) => Math.max(max, scalar.toString(2).length), 0);
+  let result = ed25519.ExtendedPoint.ZERO;
+  for(let bit = BigInt(bits - 1); bit >= 0n; --bit) {
+    result = result.double();
+    for(let i = 0; i < points.length; ++i) {
+      if((scalars[i] >> bit) & 1n) {
+        result = result.add(points[i]);
+      }
+    }
+  }
+  return result;
+}
+
+async function _sha512(data) {
+  return ed25519.utils.sha512(data);
+}
+
 async function generateKeyPairFromSeed(seed) {
   assertKeyBytes({
     bytes: seed,
@@ -44,3 +188,14 @@ async function generateKeyPairFromSeed(seed) {
     secretKey
   };
 }
+
+// browser MUST provide "crypto.getRandomValues"; checked on use so that this
+// backend can also be registered in Node.js versions without a global
+// `crypto`
+function _crypto() {
+  const crypto = globalThis.crypto;
+  if(!crypto?.getRandomValues) {
+    throw new Error('Browser does not provide "crypto.getRandomValues".');
+  }
+  return crypto;
+}
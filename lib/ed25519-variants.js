@@ -0,0 +1,163 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  bytesToNumberLE, encodePoint, L, mod, multiplyBase
+} from './edwards25519.js';
+import {concatBytes} from './util.js';
+import * as verification from './verification.js';
+
+// RFC 8032 `dom2` prefix
+const DOM2_PREFIX = new TextEncoder().encode(
+  'SigEd25519 no Ed25519 collisions');
+
+/**
+ * Returns the RFC 8032 name of the Ed25519 variant selected by `context` and
+ * `prehash`: `Ed25519` (pure), `Ed25519ctx` or `Ed25519ph`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array|string} [options.context] - The context.
+ * @param {boolean} [options.prehash=false] - Prehash the data?
+ *
+ * @throws {TypeError} If the context is invalid.
+ *
+ * @returns {string} The variant name.
+ */
+export function getVariant({context, prehash = false}) {
+  if(typeof prehash !== 'boolean') {
+    throw new TypeError('"prehash" must be a boolean.');
+  }
+  if(context !== undefined) {
+    const bytes = _contextBytes(context);
+    if(bytes.length > 255) {
+      throw new TypeError('"context" must be at most 255 bytes.');
+    }
+    if(bytes.length === 0 && !prehash) {
+      throw new TypeError('"context" must not be empty for Ed25519ctx.');
+    }
+  }
+  if(prehash) {
+    return 'Ed25519ph';
+  }
+  return context === undefined ? 'Ed25519' : 'Ed25519ctx';
+}
+
+/**
+ * Checks that the verification `mode` can be used with the variant selected
+ * by `context` and `prehash`; `legacy` verification is only available for
+ * pure Ed25519.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.mode - The verification mode.
+ * @param {Uint8Array|string} [options.context] - The context.
+ * @param {boolean} [options.prehash=false] - Prehash the data?
+ *
+ * @throws {TypeError} If the options are invalid.
+ */
+export function assertVerifyOptions({mode, context, prehash = false}) {
+  verification.assertVerificationMode(mode);
+  if(getVariant({context, prehash}) !== 'Ed25519' && mode === 'legacy') {
+    throw new TypeError(
+      'Ed25519ctx and Ed25519ph signatures cannot be verified in "legacy" ' +
+      'mode.');
+  }
+}
+
+/**
+ * Signs data with Ed25519ctx or Ed25519ph (RFC 8032 section 5.1.6).
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.secretKey - The 64-byte private key (seed and
+ *   public key).
+ * @param {Uint8Array} options.data - The data to sign.
+ * @param {Uint8Array|string} [options.context] - The context.
+ * @param {boolean} [options.prehash=false] - Sign SHA-512(data) (Ed25519ph)?
+ * @param {Uint8Array} [options.digest] - The SHA-512 digest of the data to
+ *   sign with Ed25519ph, instead of `data`.
+ * @param {Function} options.sha512 - An async function that returns the
+ *   SHA-512 digest of the given bytes.
+ *
+ * @returns {Promise<Uint8Array>} The 64-byte signature.
+ */
+export async function sign({
+  secretKey, data, context, prehash = false, digest, sha512
+}) {
+  const dom = _dom2({context, prehash});
+  const message = prehash ? (digest || await sha512(data)) : data;
+  const h = await sha512(secretKey.subarray(0, 32));
+  // clamp the secret scalar
+  const a = new Uint8Array(h.subarray(0, 32));
+  a[0] &= 248;
+  a[31] &= 127;
+  a[31] |= 64;
+  const s = bytesToNumberLE(a);
+  const publicKey = secretKey.subarray(32);
+  const r = mod(bytesToNumberLE(
+    await sha512(concatBytes([dom, h.subarray(32), message]))), L);
+  const R = encodePoint(multiplyBase(r));
+  const k = mod(bytesToNumberLE(
+    await sha512(concatBytes([dom, R, publicKey, message]))), L);
+  const S = mod(r + k * s, L);
+  const signature = new Uint8Array(64);
+  signature.set(R);
+  for(let i = 32, n = S; i < 64; ++i, n >>= 8n) {
+    signature[i] = Number(n & 0xffn);
+  }
+  h.fill(0);
+  a.fill(0);
+  return signature;
+}
+
+/**
+ * Verifies an Ed25519, Ed25519ctx or Ed25519ph signature.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {Uint8Array} options.data - The signed data.
+ * @param {Uint8Array} options.signature - The 64-byte signature.
+ * @param {Uint8Array|string} [options.context] - The context.
+ * @param {boolean} [options.prehash=false] - Was SHA-512(data) signed?
+ * @param {Uint8Array} [options.digest] - The SHA-512 digest of the signed
+ *   data with Ed25519ph, instead of `data`.
+ * @param {string} options.mode - The verification mode, `rfc8032-strict` or
+ *   `zip215`; `legacy` verification is only available for pure Ed25519 and
+ *   is provided by the backends.
+ * @param {Function} options.sha512 - An async function that returns the
+ *   SHA-512 digest of the given bytes.
+ *
+ * @returns {Promise<boolean>} Resolves with the verification result.
+ */
+export async function verify({
+  publicKey, data, signature, context, prehash = false, digest, mode, sha512
+}) {
+  assertVerifyOptions({mode, context, prehash});
+  const dom = _dom2({context, prehash});
+  const message = prehash ? (digest || await sha512(data)) : data;
+  return verification.verify({
+    publicKey, data: message, signature, mode, sha512, dom
+  });
+}
+
+// dom2(phflag, context) = prefix || octet(phflag) || octet(len(C)) || C;
+// pure Ed25519 has no prefix
+function _dom2({context, prehash}) {
+  if(getVariant({context, prehash}) === 'Ed25519') {
+    return new Uint8Array();
+  }
+  const contextBytes = _contextBytes(context ?? new Uint8Array());
+  return concatBytes([
+    DOM2_PREFIX,
+    new Uint8Array([prehash ? 1 : 0, contextBytes.length]),
+    contextBytes
+  ]);
+}
+
+function _contextBytes(context) {
+  if(typeof context === 'string') {
+    return new TextEncoder().encode(context);
+  }
+  if(!(context instanceof Uint8Array)) {
+    throw new TypeError('"context" must be a string or Uint8Array.');
+  }
+  return context;
+}
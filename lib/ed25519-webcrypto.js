@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assertKeyBytes} from './validators.js';
+import {Sha512} from './sha512.js';
+import * as variants from './ed25519-variants.js';
+import * as webcrypto from './webcrypto.js';
+
+// imported `CryptoKey`s (promises) by the key bytes they were imported from
+// (see `ed25519.js`)
+const privateKeys = new WeakMap();
+const publicKeys = new WeakMap();
+
+// a backend that signs and verifies with native WebCrypto Ed25519
+// (`crypto.subtle`) in browsers and Node.js; functions it does not provide
+// (e.g., `convertPublicKeyToX25519()`) are taken from the default backend
+export default {
+  name: 'webcrypto',
+  async generateKeyPair() {
+    const seed = await this.randomBytes(32);
+    const keyPair = await generateKeyPairFromSeed(seed);
+    seed.fill(0);
+    return keyPair;
+  },
+  generateKeyPairFromSeed,
+  async sign(secretKey, data, {context, prehash = false, digest} = {}) {
+    if(context !== undefined || prehash) {
+      if(secretKey.length === 32) {
+        ({secretKey} = await generateKeyPairFromSeed(secretKey));
+      }
+      return variants.sign({
+        secretKey, data, context, prehash, digest, sha512: _sha512
+      });
+    }
+    const privateKey = _cachedKey({
+      cache: privateKeys, bytes: secretKey,
+      importKey: () => webcrypto.importPrivateKey({
+        seed: secretKey.subarray(0, 32), extractable: false
+      })
+    });
+    return webcrypto.sign({privateKey: await privateKey, data});
+  },
+  async verify(publicKey, data, signature, {
+    mode = 'legacy', context, prehash = false, digest
+  } = {}) {
+    if(mode !== 'legacy' || context !== undefined || prehash) {
+      return variants.verify({
+        publicKey, data, signature, context, prehash, digest, mode,
+        sha512: _sha512
+      });
+    }
+    try {
+      const cryptoKey = _cachedKey({
+        cache: publicKeys, bytes: publicKey,
+        importKey: () => webcrypto.importPublicKey(publicKey)
+      });
+      return await webcrypto.verify({
+        publicKey: await cryptoKey, data, signature
+      });
+    } catch(e) {
+      return false;
+    }
+  },
+  async sha256digest({data}) {
+    return webcrypto.digest({algorithm: 'SHA-256', data});
+  },
+  createSha512() {
+    return new Sha512();
+  },
+  async randomBytes(length) {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+  }
+};
+
+async function generateKeyPairFromSeed(seed) {
+  assertKeyBytes({
+    bytes: seed,
+    expectedLength: 32,
+  });
+  const publicKey = await webcrypto.derivePublicKey(seed);
+  const secretKey = new Uint8Array(64);
+  secretKey.set(seed);
+  secretKey.set(publicKey, seed.length);
+  return {
+    publicKey,
+    secretKey
+  };
+}
+
+// returns the cached `CryptoKey` promise for key bytes, importing the key if
+// needed; a failed import is not cached so that it can be retried
+function _cachedKey({cache, bytes, importKey}) {
+  let cryptoKey = cache.get(bytes);
+  if(!cryptoKey) {
+    cryptoKey = importKey();
+    cache.set(bytes, cryptoKey);
+    cryptoKey.catch(() => {
+      if(cache.get(bytes) === cryptoKey) {
+        cache.delete(bytes);
+      }
+    });
+  }
+  return cryptoKey;
+}
+
+async function _sha512(data) {
+  return webcrypto.digest({algorithm: 'SHA-512', data});
+}
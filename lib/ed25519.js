@@ -4,25 +4,41 @@
 import {
   sign,
   verify,
+  createCipheriv,
+  createDecipheriv,
   createHash,
+  createHmac,
   createPrivateKey,
   createPublicKey,
+  pbkdf2,
   randomBytes
 } from 'node:crypto';
+import {
+  D, invert, mod, numberToBytesLE, P, pow
+} from './edwards25519.js';
+import {DER_PRIVATE_KEY_PREFIX, DER_PUBLIC_KEY_PREFIX} from './der.js';
 import {assertKeyBytes} from './validators.js';
+import {KeyFormatError} from './errors.js';
 import {promisify} from 'node:util';
+import * as variants from './ed25519-variants.js';
 
 const randomBytesAsync = promisify(randomBytes);
+const pbkdf2Async = promisify(pbkdf2);
+
+// byte length of AES-GCM authentication tags
+const AES_GCM_TAG_LENGTH = 16;
 
 // used to export node's public keys to buffers
 const publicKeyEncoding = {format: 'der', type: 'spki'};
-// used to turn private key bytes into a buffer in DER format
-const DER_PRIVATE_KEY_PREFIX = Buffer.from(
-  '302e020100300506032b657004220420', 'hex');
-// used to turn public key bytes into a buffer in DER format
-const DER_PUBLIC_KEY_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// node key objects by the key bytes they were created from; key pairs pass
+// the same (cached) key bytes on every call, so each key is only imported
+// once per key pair
+const privateKeyObjects = new WeakMap();
+const publicKeyObjects = new WeakMap();
 
 const api = {
+  name: 'node',
   /**
    * Generates a key using a 32 byte Uint8Array.
    *
@@ -51,28 +67,251 @@ const api = {
     const seed = await randomBytesAsync(32);
     return api.generateKeyPairFromSeed(seed);
   },
-  async sign(privateKeyBytes, data) {
-    const privateKey = await createPrivateKey({
+  async sign(privateKeyBytes, data, {
+    context, prehash = false, digest
+  } = {}) {
+    if(context !== undefined || prehash) {
+      // node ignores the context of ed25519 keys and does not support
+      // Ed25519ph, so both variants are implemented in JavaScript
+      const secretKey = privateKeyBytes.length === 32 ?
+        (await api.generateKeyPairFromSeed(privateKeyBytes)).secretKey :
+        privateKeyBytes;
+      return variants.sign({
+        secretKey, data, context, prehash, digest, sha512: _sha512
+      });
+    }
+    return sign(null, data, _privateKeyObject(privateKeyBytes));
+  },
+  async verify(publicKeyBytes, data, signature, {
+    mode = 'legacy', context, prehash = false, digest
+  } = {}) {
+    if(mode !== 'legacy' || context !== undefined || prehash) {
+      return variants.verify({
+        publicKey: publicKeyBytes, data, signature, context, prehash, digest,
+        mode, sha512: _sha512
+      });
+    }
+    return verify(null, data, _publicKeyObject(publicKeyBytes), signature);
+  },
+  /**
+   * Verifies many signatures. Node does not provide batch verification, so
+   * each signature is verified individually, creating only one public key
+   * object per distinct public key.
+   *
+   * @param {Array<{publicKey: Uint8Array, data: Uint8Array,
+   *   signature: Uint8Array}>} items - The items to verify.
+   * @param {object} [options={}] - Options to use.
+   * @param {string} [options.mode='legacy'] - The verification mode.
+   * @param {Uint8Array|string} [options.context] - The Ed25519ctx or
+   *   Ed25519ph context.
+   * @param {boolean} [options.prehash=false] - Verify Ed25519ph signatures?
+   *
+   * @returns {Promise<Array<boolean>>} The verification result of each item.
+   */
+  async verifyBatch(items, {
+    mode = 'legacy', context, prehash = false
+  } = {}) {
+    if(mode !== 'legacy' || context !== undefined || prehash) {
+      // checks the options before verifying any item
+      variants.assertVerifyOptions({mode, context, prehash});
+      return Promise.all(items.map(({publicKey, data, signature}) =>
+        variants.verify({
+          publicKey, data, signature, context, prehash, mode, sha512: _sha512
+        }).catch(() => false)));
+    }
+    const publicKeys = new Map();
+    return items.map(({publicKey: publicKeyBytes, data, signature}) => {
+      try {
+        const keyId = Buffer.from(publicKeyBytes).toString('hex');
+        let publicKey = publicKeys.get(keyId);
+        if(!publicKey) {
+          publicKey = _publicKeyObject(publicKeyBytes);
+          publicKeys.set(keyId, publicKey);
+        }
+        return verify(null, data, publicKey, signature);
+      } catch(e) {
+        return false;
+      }
+    });
+  },
+  async sha256digest({data}) {
+    return createHash('sha256').update(data).digest();
+  },
+  // returns an incremental SHA-512 hash with `update()` and `digest()`
+  createSha512() {
+    return createHash('sha512');
+  },
+  async randomBytes(length) {
+    return new Uint8Array(await randomBytesAsync(length));
+  },
+  async hmacSha512({key, data}) {
+    return new Uint8Array(createHmac('sha512', key).update(data).digest());
+  },
+  /**
+   * Derives a key from a password using PBKDF2.
+   *
+   * @param {object} options - Options to use.
+   * @param {Uint8Array} options.password - The password bytes.
+   * @param {Uint8Array} options.salt - The salt.
+   * @param {number} options.iterations - The number of iterations.
+   * @param {string} [options.hash='SHA-256'] - The HMAC hash, `SHA-256` or
+   *   `SHA-512`.
+   * @param {number} [options.length=32] - The key length in bytes.
+   *
+   * @returns {Promise<Uint8Array>} The derived key bytes.
+   */
+  async pbkdf2({password, salt, iterations, hash = 'SHA-256', length = 32}) {
+    const digest = hash.replace('-', '').toLowerCase();
+    return new Uint8Array(
+      await pbkdf2Async(password, salt, iterations, length, digest));
+  },
+  /**
+   * Encrypts data using AES-256-GCM.
+   *
+   * @param {object} options - Options to use.
+   * @param {Uint8Array} options.key - The 256-bit key.
+   * @param {Uint8Array} options.iv - The 96-bit initialization vector.
+   * @param {Uint8Array} options.data - The plaintext.
+   *
+   * @returns {Promise<Uint8Array>} The ciphertext with the authentication
+   *   tag appended (as produced by WebCrypto).
+   */
+  async encryptAesGcm({key, iv, data}) {
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    return new Uint8Array(Buffer.concat([
+      cipher.update(data), cipher.final(), cipher.getAuthTag()
+    ]));
+  },
+  /**
+   * Decrypts data encrypted using AES-256-GCM.
+   *
+   * @param {object} options - Options to use.
+   * @param {Uint8Array} options.key - The 256-bit key.
+   * @param {Uint8Array} options.iv - The 96-bit initialization vector.
+   * @param {Uint8Array} options.data - The ciphertext with the
+   *   authentication tag appended.
+   *
+   * @throws {Error} If the data cannot be authenticated.
+   *
+   * @returns {Promise<Uint8Array>} The plaintext.
+   */
+  async decryptAesGcm({key, iv, data}) {
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(data.subarray(data.length - AES_GCM_TAG_LENGTH));
+    return new Uint8Array(Buffer.concat([
+      decipher.update(data.subarray(0, data.length - AES_GCM_TAG_LENGTH)),
+      decipher.final()
+    ]));
+  },
+  /**
+   * Converts an Ed25519 public key to an X25519 public key using the
+   * birational map between edwards25519 and curve25519.
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc7748#section-4.1
+   *
+   * @param {Uint8Array} publicKeyBytes - The Ed25519 public key bytes.
+   *
+   * @throws {Error} If the bytes do not encode a valid Ed25519 public key.
+   *
+   * @returns {Promise<Uint8Array>} The X25519 public key bytes.
+   */
+  async convertPublicKeyToX25519(publicKeyBytes) {
+    assertKeyBytes({
+      bytes: publicKeyBytes,
+      expectedLength: 32,
+      code: 'invalidPublicKeyLength'
+    });
+    const y = _bytesToNumberLE(publicKeyBytes);
+    if(!_isValidEdwardsY(y)) {
+      throw new KeyFormatError(
+        '"publicKeyBytes" is not a valid Ed25519 key.',
+        {code: 'invalidPublicKey'});
+    }
+    // u = (1 + y) / (1 - y)
+    const u = mod((1n + y) * invert(mod(1n - y)));
+    return numberToBytesLE(u);
+  },
+  /**
+   * Converts an Ed25519 private key to an X25519 private key (the clamped
+   * first half of the SHA-512 hash of the private key seed).
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc8032#section-5.1.5
+   *
+   * @param {Uint8Array} privateKeyBytes - The 64-byte Ed25519 private key.
+   *
+   * @returns {Promise<Uint8Array>} The X25519 private key bytes.
+   */
+  async convertSecretKeyToX25519(privateKeyBytes) {
+    assertKeyBytes({
+      bytes: privateKeyBytes,
+      expectedLength: 64
+    });
+    const hash = createHash('sha512')
+      .update(privateKeyBytes.subarray(0, 32)).digest();
+    const secretKey = new Uint8Array(hash.subarray(0, 32));
+    hash.fill(0);
+    secretKey[0] &= 248;
+    secretKey[31] &= 127;
+    secretKey[31] |= 64;
+    return secretKey;
+  }
+};
+
+export default api;
+
+// returns the cached node KeyObject for private key bytes, creating it once
+function _privateKeyObject(privateKeyBytes) {
+  let privateKey = privateKeyObjects.get(privateKeyBytes);
+  if(!privateKey) {
+    privateKey = createPrivateKey({
       key: privateKeyDerEncode({privateKeyBytes}),
       format: 'der',
       type: 'pkcs8'
     });
-    return sign(null, data, privateKey);
-  },
-  async verify(publicKeyBytes, data, signature) {
-    const publicKey = await createPublicKey({
+    privateKeyObjects.set(privateKeyBytes, privateKey);
+  }
+  return privateKey;
+}
+
+// returns the cached node KeyObject for public key bytes, creating it once
+function _publicKeyObject(publicKeyBytes) {
+  let publicKey = publicKeyObjects.get(publicKeyBytes);
+  if(!publicKey) {
+    publicKey = createPublicKey({
       key: publicKeyDerEncode({publicKeyBytes}),
       format: 'der',
       type: 'spki'
     });
-    return verify(null, data, publicKey, signature);
-  },
-  async sha256digest({data}) {
-    return createHash('sha256').update(data).digest();
+    publicKeyObjects.set(publicKeyBytes, publicKey);
   }
-};
+  return publicKey;
+}
 
-export default api;
+async function _sha512(data) {
+  return createHash('sha512').update(data).digest();
+}
+
+// decodes the little-endian `y` coordinate of an Ed25519 point (the most
+// significant bit holds the sign of `x` and is not part of `y`)
+function _bytesToNumberLE(bytes) {
+  let n = 0n;
+  for(let i = bytes.length - 1; i >= 0; --i) {
+    n = (n << 8n) | BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+  }
+  return n;
+}
+
+// checks that `y` is the coordinate of a point on edwards25519 that can be
+// mapped to curve25519 (`y = 1` is the identity and has no image)
+function _isValidEdwardsY(y) {
+  if(y >= P || y === 1n) {
+    return false;
+  }
+  // x^2 = (y^2 - 1) / (d * y^2 + 1) must be a square
+  const y2 = mod(y * y);
+  const x2 = mod((y2 - 1n) * invert(mod(D * y2 + 1n)));
+  return x2 === 0n || pow(x2, (P - 1n) / 2n) === 1n;
+}
 
 /**
  * The key material is the part of the buffer after the DER Prefix.
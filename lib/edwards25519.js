@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// field prime for curve25519 (2^255 - 19)
+export const P = 2n ** 255n - 19n;
+// order of the edwards25519 prime-order subgroup
+export const L = 2n ** 252n + 27742317777372353535851937790883648493n;
+// edwards25519 curve constant `d` (-121665 / 121666)
+export const D = mod(-121665n * invert(121666n));
+// square root of -1 mod P
+const SQRT_M1 = pow(2n, (P - 1n) / 4n);
+
+// points in extended coordinates (X:Y:Z:T) with x = X/Z, y = Y/Z, xy = T/Z
+const IDENTITY = {X: 0n, Y: 1n, Z: 1n, T: 0n};
+// the base point has y = 4/5 and a positive (even) x
+const BASE = decodePoint(numberToBytesLE(mod(4n * invert(5n))));
+
+export function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+export function pow(base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while(exponent > 0n) {
+    if(exponent & 1n) {
+      result = mod(result * base);
+    }
+    base = mod(base * base);
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+export function invert(a) {
+  return pow(a, P - 2n);
+}
+
+/**
+ * Decodes a 32-byte encoded edwards25519 point (RFC 8032 section 5.1.3).
+ *
+ * @param {Uint8Array} bytes - The encoded point.
+ * @param {object} [options={}] - Options to use.
+ * @param {boolean} [options.canonical=true] - Reject non-canonical
+ *   encodings (`y >= P` or `x = 0` with the sign bit set)? If `false`, `y`
+ *   is reduced modulo `P` as ZIP 215 requires.
+ *
+ * @returns {object|undefined} The point or `undefined` if the bytes do not
+ *   encode a point.
+ */
+export function decodePoint(bytes, {canonical = true} = {}) {
+  if(!(bytes instanceof Uint8Array && bytes.length === 32)) {
+    return;
+  }
+  const sign = BigInt(bytes[31] >> 7);
+  let y = bytesToNumberLE(bytes) & ((1n << 255n) - 1n);
+  if(y >= P) {
+    if(canonical) {
+      return;
+    }
+    y -= P;
+  }
+  // x^2 = (y^2 - 1) / (d * y^2 + 1)
+  const y2 = mod(y * y);
+  const u = mod(y2 - 1n);
+  const v = mod(D * y2 + 1n);
+  let x = mod(u * invert(v));
+  const x2 = x;
+  x = pow(x2, (P + 3n) / 8n);
+  if(mod(x * x) !== x2) {
+    x = mod(x * SQRT_M1);
+  }
+  if(mod(x * x) !== x2) {
+    return;
+  }
+  if(x === 0n && sign === 1n && canonical) {
+    return;
+  }
+  if((x & 1n) !== sign) {
+    x = mod(-x);
+  }
+  return {X: x, Y: y, Z: 1n, T: mod(x * y)};
+}
+
+// "add-2008-hwcd-3" unified addition for a = -1
+export function add(p1, p2) {
+  const A = mod((p1.Y - p1.X) * (p2.Y - p2.X));
+  const B = mod((p1.Y + p1.X) * (p2.Y + p2.X));
+  const C = mod(2n * D * p1.T * p2.T);
+  const E = mod(2n * p1.Z * p2.Z);
+  const F = B - A;
+  const G = E - C;
+  const H = E + C;
+  const I = B + A;
+  return {X: mod(F * G), Y: mod(H * I), Z: mod(G * H), T: mod(F * I)};
+}
+
+export function negate(p) {
+  return {X: mod(-p.X), Y: p.Y, Z: p.Z, T: mod(-p.T)};
+}
+
+// variable time double-and-add; only used with public values
+export function multiply(p, scalar) {
+  let result = IDENTITY;
+  for(let q = p; scalar > 0n; scalar >>= 1n, q = add(q, q)) {
+    if(scalar & 1n) {
+      result = add(result, q);
+    }
+  }
+  return result;
+}
+
+// computes [scalar]B with a fixed sequence of point operations for use with
+// secret scalars (`scalar` must be less than 2^256)
+export function multiplyBase(scalar) {
+  let result = IDENTITY;
+  let q = BASE;
+  for(let i = 0; i < 256; ++i) {
+    const sum = add(result, q);
+    result = (scalar >> BigInt(i)) & 1n ? sum : result;
+    q = add(q, q);
+  }
+  return result;
+}
+
+/**
+ * Encodes an edwards25519 point (RFC 8032 section 5.1.2).
+ *
+ * @param {object} p - The point.
+ *
+ * @returns {Uint8Array} The 32-byte encoded point.
+ */
+export function encodePoint(p) {
+  const zInverse = invert(p.Z);
+  const x = mod(p.X * zInverse);
+  const bytes = numberToBytesLE(mod(p.Y * zInverse));
+  bytes[31] |= Number(x & 1n) << 7;
+  return bytes;
+}
+
+export function isIdentity(p) {
+  return p.X === 0n && p.Y === p.Z;
+}
+
+// a point is of small order if multiplying it by the cofactor (8) yields the
+// identity
+export function isSmallOrder(p) {
+  return isIdentity(multiplyByCofactor(p));
+}
+
+export function multiplyByCofactor(p) {
+  for(let i = 0; i < 3; ++i) {
+    p = add(p, p);
+  }
+  return p;
+}
+
+// reads all bytes as a little-endian number
+export function bytesToNumberLE(bytes) {
+  let n = 0n;
+  for(let i = bytes.length - 1; i >= 0; --i) {
+    n = (n << 8n) | BigInt(bytes[i]);
+  }
+  return n;
+}
+
+// writes a number as 32 little-endian bytes
+export function numberToBytesLE(n) {
+  const bytes = new Uint8Array(32);
+  for(let i = 0; i < bytes.length; ++i) {
+    bytes[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return bytes;
+}
@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {getBackend} from './backends.js';
+import {KeyFormatError} from './errors.js';
+
+// current version of the encrypted private key format
+const VERSION = 1;
+// PBKDF2 parameters (iteration count per OWASP recommendation for SHA-256)
+const PBKDF2_ITERATIONS = 600000;
+// maximum accepted iteration count, so that an encrypted private key cannot
+// make decryption take an unbounded amount of time
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_LENGTH = 16;
+// AES-GCM 96-bit initialization vector
+const IV_LENGTH = 12;
+
+/**
+ * Encrypts a private key with a key derived from a passphrase.
+ *
+ * The result is a versioned JSON object:
+ * `{version: 1, kdf: {name: 'PBKDF2', hash: 'SHA-256', iterations, salt},
+ * cipher: {name: 'AES-GCM', length: 256, iv}, ciphertext}`, where `salt`,
+ * `iv` and `ciphertext` are base64url encoded and the plaintext is the
+ * multicodec encoded private key (the bytes of `privateKeyMultibase`).
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.privateKeyBytes - The multicodec encoded private
+ *   key.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {object} [options.backend] - The crypto backend; defaults to the
+ *   selected backend.
+ *
+ * @returns {Promise<object>} The encrypted private key.
+ */
+export async function encryptPrivateKey({
+  privateKeyBytes, passphrase, backend = getBackend()
+} = {}) {
+  _assertPassphrase(passphrase);
+  const salt = await backend.randomBytes(SALT_LENGTH);
+  const iv = await backend.randomBytes(IV_LENGTH);
+  const key = await backend.pbkdf2({
+    password: new TextEncoder().encode(passphrase),
+    salt,
+    iterations: PBKDF2_ITERATIONS
+  });
+  const ciphertext = await backend.encryptAesGcm({
+    key, iv, data: privateKeyBytes
+  });
+  key.fill(0);
+  return {
+    version: VERSION,
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: base64url.encode(salt)
+    },
+    cipher: {
+      name: 'AES-GCM',
+      length: 256,
+      iv: base64url.encode(iv)
+    },
+    ciphertext: base64url.encode(ciphertext)
+  };
+}
+
+/**
+ * Decrypts a private key encrypted via `encryptPrivateKey()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.encryptedPrivateKey - The encrypted private key.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {object} [options.backend] - The crypto backend; defaults to the
+ *   selected backend.
+ *
+ * @throws {KeyFormatError} If the PBKDF2 iteration count is too large.
+ * @throws {Error} If the format is not supported or the private key cannot
+ *   be decrypted with the given passphrase.
+ *
+ * @returns {Promise<Uint8Array>} The multicodec encoded private key.
+ */
+export async function decryptPrivateKey({
+  encryptedPrivateKey, passphrase, backend = getBackend()
+} = {}) {
+  _assertPassphrase(passphrase);
+  if(!(encryptedPrivateKey && typeof encryptedPrivateKey === 'object')) {
+    throw new TypeError('"encryptedPrivateKey" must be an object.');
+  }
+  const {version, kdf, cipher, ciphertext} = encryptedPrivateKey;
+  if(version !== VERSION) {
+    throw new Error(
+      `Unsupported encrypted private key version: "${version}".`);
+  }
+  if(!(kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+    Number.isSafeInteger(kdf.iterations) && kdf.iterations > 0 &&
+    typeof kdf.salt === 'string')) {
+    throw new Error('Unsupported encrypted private key "kdf".');
+  }
+  if(kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new KeyFormatError(
+      'Encrypted private key PBKDF2 "iterations" must be at most ' +
+      `${MAX_PBKDF2_ITERATIONS}.`, {code: 'invalidPrivateKey'});
+  }
+  if(!(cipher?.name === 'AES-GCM' && cipher.length === 256 &&
+    typeof cipher.iv === 'string')) {
+    throw new Error('Unsupported encrypted private key "cipher".');
+  }
+  if(typeof ciphertext !== 'string') {
+    throw new TypeError('"ciphertext" must be a string.');
+  }
+  const key = await backend.pbkdf2({
+    password: new TextEncoder().encode(passphrase),
+    salt: base64url.decode(kdf.salt),
+    iterations: kdf.iterations
+  });
+  try {
+    return await backend.decryptAesGcm({
+      key,
+      iv: base64url.decode(cipher.iv),
+      data: base64url.decode(ciphertext)
+    });
+  } catch(e) {
+    // do not leak decryption details
+    throw new Error(
+      'Could not decrypt private key; the passphrase may be incorrect.');
+  } finally {
+    key.fill(0);
+  }
+}
+
+function _assertPassphrase(passphrase) {
+  if(!(typeof passphrase === 'string' && passphrase.length > 0)) {
+    throw new TypeError('"passphrase" must be a non-empty string.');
+  }
+}
@@ -0,0 +1,62 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Base class of the errors raised when a key cannot be parsed or does not
+ * match. Every error has a stable `code`; where one exists, the code is the
+ * error code defined by the did:key specification:
+ *
+ * - `invalidDid`: A did:key DID or DID URL is malformed.
+ * - `invalidPublicKey`: A public key (or fingerprint) is not validly encoded.
+ * - `invalidPublicKeyLength`: A public key is not 32 bytes.
+ * - `invalidPublicKeyType`: A public key is not an Ed25519 public key.
+ * - `invalidPrivateKey`: A private key is not validly encoded.
+ * - `invalidPrivateKeyLength`: A private key has an invalid length.
+ * - `invalidPrivateKeyType`: A private key is not an Ed25519 private key.
+ * - `invalidKeyType`: A serialized key has an unsupported `type`.
+ * - `keyPairMismatch`: A private key does not match its public key.
+ * - `fingerprintMismatch`: A fingerprint does not match a public key.
+ * - `invalidMnemonic`: A BIP-39 mnemonic is malformed or has an invalid
+ *   checksum.
+ * - `invalidShare`: A private key share is malformed or shares cannot be
+ *   recombined.
+ * - `invalidCbor`: CBOR data (e.g., a COSE_Sign1 message) is nested too
+ *   deeply.
+ *
+ * @see https://w3c-ccg.github.io/did-method-key/#errors
+ */
+export class KeyError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} options - Options to use.
+   * @param {string} options.code - The error code.
+   * @param {*} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, {code, cause} = {}) {
+    super(message, cause === undefined ? undefined : {cause});
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when a key, fingerprint or DID is not validly encoded.
+ */
+export class KeyFormatError extends KeyError {}
+
+/**
+ * Raised when a public or private key has an invalid length.
+ */
+export class KeyLengthError extends KeyError {}
+
+/**
+ * Raised when a key is not an Ed25519 key or a serialized key has an
+ * unsupported `type`.
+ */
+export class UnsupportedKeyTypeError extends KeyError {}
+
+/**
+ * Raised when a private key or fingerprint does not match a public key.
+ */
+export class KeyMismatchError extends KeyError {}
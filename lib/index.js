@@ -1,4 +1,9 @@
 /*!
- * Copyright (c) 2020 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
  */
 export {Ed25519VerificationKey2020} from './Ed25519VerificationKey2020.js';
+export {
+  KeyError, KeyFormatError, KeyLengthError, KeyMismatchError,
+  UnsupportedKeyTypeError
+} from './errors.js';
+export {MemoryKms} from './MemoryKms.js';
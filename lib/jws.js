@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {concatBytes} from './util.js';
+
+const ALGORITHM = 'EdDSA';
+// header parameters that are understood when listed in `crit`
+const SUPPORTED_CRITICAL_HEADERS = new Set(['b64']);
+
+/**
+ * Creates a JWS in compact serialization.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc7515
+ * @see https://datatracker.ietf.org/doc/html/rfc7797
+ *
+ * @param {object} options - Options to use.
+ * @param {{sign: Function}} options.signer - The signer.
+ * @param {Uint8Array|string} options.payload - The payload.
+ * @param {object} [options.header={}] - Additional protected header
+ *   parameters.
+ * @param {boolean} [options.detached=false] - Omit the payload from the JWS?
+ * @param {boolean} [options.b64=true] - Base64url encode the payload? If
+ *   `false`, the unencoded payload option (RFC 7797) is used.
+ *
+ * @returns {Promise<string>} The JWS.
+ */
+export async function sign({
+  signer, payload, header = {}, detached = false, b64 = true
+}) {
+  const {alg = ALGORITHM, ...rest} = header;
+  if(alg !== ALGORITHM) {
+    throw new Error(`JWS "alg" must be "${ALGORITHM}".`);
+  }
+  const protectedHeader = {alg, ...rest};
+  if(!b64) {
+    protectedHeader.b64 = false;
+    protectedHeader.crit = [...new Set([...(header.crit || []), 'b64'])];
+  }
+  const payloadBytes = _payloadBytes(payload);
+  const encodedHeader = base64url.encode(JSON.stringify(protectedHeader));
+  let encodedPayload = '';
+  if(b64) {
+    encodedPayload = base64url.encode(payloadBytes);
+  } else if(!detached) {
+    // an unencoded payload is part of the (text) JWS, so it must be text
+    // without "." (RFC 7797 section 5.2); detached payloads may be binary
+    try {
+      encodedPayload = new TextDecoder('utf-8', {fatal: true})
+        .decode(payloadBytes);
+    } catch(e) {
+      throw new Error(
+        'An unencoded JWS payload must be UTF-8 text unless detached.');
+    }
+    if(encodedPayload.includes('.')) {
+      throw new Error(
+        'An unencoded JWS payload must not contain "." unless detached.');
+    }
+  }
+  const data = _signingInput({
+    encodedHeader, payload: b64 ? encodedPayload : payloadBytes
+  });
+  const signature = await signer.sign({data});
+  return `${encodedHeader}.${detached ? '' : encodedPayload}.` +
+    base64url.encode(signature);
+}
+
+/**
+ * Verifies a JWS in compact serialization.
+ *
+ * @param {object} options - Options to use.
+ * @param {{verify: Function}} options.verifier - The verifier.
+ * @param {string} options.jws - The JWS.
+ * @param {Uint8Array|string} [options.payload] - The payload; required for
+ *   a detached JWS.
+ *
+ * @throws {Error} If the JWS is malformed or uses an unsupported algorithm
+ *   or critical header parameter.
+ *
+ * @returns {Promise<boolean>} Resolves with the verification result.
+ */
+export async function verify({verifier, jws, payload}) {
+  if(typeof jws !== 'string') {
+    throw new TypeError('"jws" must be a string.');
+  }
+  const parts = jws.split('.');
+  if(parts.length < 3) {
+    throw new Error('JWS must be in compact serialization.');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(encodedHeader)));
+  } catch(e) {
+    throw new Error('JWS header must be base64url encoded JSON.');
+  }
+  if(!(header && typeof header === 'object') || header.alg !== ALGORITHM) {
+    throw new Error(`JWS "alg" must be "${ALGORITHM}".`);
+  }
+  if(header.crit !== undefined) {
+    if(!(Array.isArray(header.crit) && header.crit.length > 0 &&
+      header.crit.every(name => SUPPORTED_CRITICAL_HEADERS.has(name) &&
+        header[name] !== undefined))) {
+      throw new Error('JWS "crit" header parameters are not supported.');
+    }
+  }
+  const b64 = header.b64 !== false;
+  if(!b64 && !header.crit?.includes('b64')) {
+    throw new Error('JWS "b64" header parameter must be listed in "crit".');
+  }
+  if(parts.length !== 3) {
+    throw new Error(b64 ? 'JWS must be in compact serialization.' :
+      'An unencoded JWS payload must not contain "." unless detached.');
+  }
+  let signedPayload = encodedPayload;
+  if(encodedPayload === '') {
+    if(payload === undefined) {
+      throw new TypeError('"payload" is required for a detached JWS.');
+    }
+    const payloadBytes = _payloadBytes(payload);
+    signedPayload = b64 ? base64url.encode(payloadBytes) : payloadBytes;
+  }
+  const data = _signingInput({encodedHeader, payload: signedPayload});
+  const signature = base64url.decode(encodedSignature);
+  return verifier.verify({data, signature});
+}
+
+function _payloadBytes(payload) {
+  if(typeof payload === 'string') {
+    return new TextEncoder().encode(payload);
+  }
+  if(!(payload instanceof Uint8Array)) {
+    throw new TypeError('"payload" must be a string or Uint8Array.');
+  }
+  return payload;
+}
+
+// ASCII(BASE64URL(header)) || '.' || (BASE64URL(payload) or payload)
+function _signingInput({encodedHeader, payload}) {
+  const encoder = new TextEncoder();
+  return concatBytes([
+    encoder.encode(`${encodedHeader}.`),
+    typeof payload === 'string' ? encoder.encode(payload) : payload
+  ]);
+}
@@ -0,0 +1,157 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+
+// the supported multibase encodings (RFC 4648 bases and base58-btc)
+// see: https://github.com/multiformats/multibase/blob/master/multibase.csv
+
+const BASE16 = '0123456789abcdef';
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE32HEX = '0123456789abcdefghijklmnopqrstuv';
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const ENCODINGS = new Map([
+  ['base16', {prefix: 'f', codec: _rfc4648({alphabet: BASE16, bits: 4})}],
+  ['base16upper', {
+    prefix: 'F', codec: _rfc4648({alphabet: BASE16.toUpperCase(), bits: 4})
+  }],
+  ['base32', {prefix: 'b', codec: _rfc4648({alphabet: BASE32, bits: 5})}],
+  ['base32upper', {
+    prefix: 'B', codec: _rfc4648({alphabet: BASE32.toUpperCase(), bits: 5})
+  }],
+  ['base32pad', {
+    prefix: 'c', codec: _rfc4648({alphabet: BASE32, bits: 5, pad: true})
+  }],
+  ['base32padupper', {
+    prefix: 'C',
+    codec: _rfc4648({alphabet: BASE32.toUpperCase(), bits: 5, pad: true})
+  }],
+  ['base32hex', {
+    prefix: 'v', codec: _rfc4648({alphabet: BASE32HEX, bits: 5})
+  }],
+  ['base32hexupper', {
+    prefix: 'V', codec: _rfc4648({alphabet: BASE32HEX.toUpperCase(), bits: 5})
+  }],
+  ['base58btc', {prefix: 'z', codec: base58btc}],
+  ['base64', {
+    prefix: 'm', codec: _rfc4648({alphabet: BASE64 + '+/', bits: 6})
+  }],
+  ['base64pad', {
+    prefix: 'M', codec: _rfc4648({alphabet: BASE64 + '+/', bits: 6, pad: true})
+  }],
+  ['base64url', {
+    prefix: 'u', codec: _rfc4648({alphabet: BASE64 + '-_', bits: 6})
+  }],
+  ['base64urlpad', {
+    prefix: 'U', codec: _rfc4648({alphabet: BASE64 + '-_', bits: 6, pad: true})
+  }]
+]);
+
+const PREFIXES = new Map(
+  [...ENCODINGS].map(([encoding, {prefix}]) => [prefix, encoding]));
+
+/**
+ * Encodes bytes as a multibase string.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.bytes - The bytes to encode.
+ * @param {string} [options.encoding='base58btc'] - The multibase encoding
+ *   name, e.g., `base58btc`, `base64url` or `base32`.
+ *
+ * @throws {TypeError} If the encoding is not supported.
+ *
+ * @returns {string} The multibase encoded bytes.
+ */
+export function encode({bytes, encoding = 'base58btc'}) {
+  assertEncoding(encoding);
+  const {prefix, codec} = ENCODINGS.get(encoding);
+  return prefix + codec.encode(bytes);
+}
+
+/**
+ * Checks that a multibase encoding is supported.
+ *
+ * @param {string} encoding - The multibase encoding name.
+ *
+ * @throws {TypeError} If the encoding is not supported.
+ */
+export function assertEncoding(encoding) {
+  if(!ENCODINGS.has(encoding)) {
+    throw new TypeError(
+      `"encoding" must be one of: ${[...ENCODINGS.keys()].join(', ')}.`);
+  }
+}
+
+/**
+ * Decodes a multibase string.
+ *
+ * @param {string} value - The multibase encoded string.
+ *
+ * @returns {{encoding: string, bytes: Uint8Array}} The name of the encoding
+ *   (`undefined` if the value is not a string with a supported multibase
+ *   prefix) and the decoded bytes (`undefined` if the value is not validly
+ *   encoded).
+ */
+export function decode(value) {
+  const encoding = typeof value === 'string' ?
+    PREFIXES.get(value[0]) : undefined;
+  if(!encoding) {
+    return {};
+  }
+  let bytes;
+  try {
+    bytes = ENCODINGS.get(encoding).codec.decode(value.slice(1));
+  } catch(e) {}
+  return {encoding, bytes};
+}
+
+// creates a strict RFC 4648 codec; decoding returns `undefined` for anything
+// but the canonical encoding (invalid characters, padding or trailing bits)
+function _rfc4648({alphabet, bits, pad = false}) {
+  const lookup = new Map([...alphabet].map((char, i) => [char, i]));
+  const mask = (1 << bits) - 1;
+  function encode(bytes) {
+    let result = '';
+    let buffer = 0;
+    let length = 0;
+    for(const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      length += 8;
+      while(length >= bits) {
+        length -= bits;
+        result += alphabet[(buffer >> length) & mask];
+      }
+      buffer &= (1 << length) - 1;
+    }
+    if(length > 0) {
+      result += alphabet[(buffer << (bits - length)) & mask];
+    }
+    while(pad && (result.length * bits) % 8 !== 0) {
+      result += '=';
+    }
+    return result;
+  }
+  function decode(string) {
+    const bytes = [];
+    let buffer = 0;
+    let length = 0;
+    for(const char of pad ? string.replace(/=+$/, '') : string) {
+      const value = lookup.get(char);
+      if(value === undefined) {
+        return;
+      }
+      buffer = (buffer << bits) | value;
+      length += bits;
+      if(length >= 8) {
+        length -= 8;
+        bytes.push((buffer >> length) & 0xff);
+      }
+      buffer &= (1 << length) - 1;
+    }
+    const result = new Uint8Array(bytes);
+    return encode(result) === string ? result : undefined;
+  }
+  return {encode, decode};
+}
@@ -0,0 +1,227 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {base64Decode, base64Encode, concatBytes} from './util.js';
+
+const KEY_TYPE = 'ssh-ed25519';
+// `openssh-key-v1` private key container magic (NUL terminated)
+const AUTH_MAGIC = 'openssh-key-v1\0';
+const PEM_LABEL = 'OPENSSH PRIVATE KEY';
+// cipher block size used to pad unencrypted private key sections
+const BLOCK_SIZE = 8;
+
+/**
+ * Encodes an Ed25519 public key in the OpenSSH `authorized_keys` format.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc8709#section-4
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {string} [options.comment] - An optional comment.
+ *
+ * @returns {string} The `ssh-ed25519 <base64> [comment]` line.
+ */
+export function encodePublicKey({publicKey, comment}) {
+  const line = `${KEY_TYPE} ${base64Encode(_encodePublicKeyBlob(publicKey))}`;
+  return comment ? `${line} ${comment}` : line;
+}
+
+/**
+ * Decodes an Ed25519 public key in the OpenSSH `authorized_keys` format.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.sshPublicKey - The `ssh-ed25519 <base64> [comment]`
+ *   line.
+ *
+ * @throws {Error} If the key is not a valid `ssh-ed25519` public key.
+ *
+ * @returns {{publicKey: Uint8Array, comment: (string|undefined)}} The 32-byte
+ *   public key and comment.
+ */
+export function decodePublicKey({sshPublicKey}) {
+  if(typeof sshPublicKey !== 'string') {
+    throw new TypeError('"sshPublicKey" must be a string.');
+  }
+  const [type, encoded, ...comment] = sshPublicKey.trim().split(/\s+/);
+  if(type !== KEY_TYPE || !encoded) {
+    throw new Error(`OpenSSH public key type must be "${KEY_TYPE}".`);
+  }
+  const reader = _reader(base64Decode(encoded));
+  const publicKey = _readPublicKeyBlob(reader);
+  reader.end();
+  return {publicKey, comment: comment.length ? comment.join(' ') : undefined};
+}
+
+/**
+ * Encodes an Ed25519 private key in the unencrypted `openssh-key-v1` format.
+ *
+ * @see https://github.com/openssh/openssh-portable/blob/master/PROTOCOL.key
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.secretKey - The 64-byte private key (seed and
+ *   public key).
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {Uint8Array} options.checkInt - 4 random bytes used to check
+ *   decryption.
+ * @param {string} [options.comment=''] - An optional comment.
+ *
+ * @returns {string} The PEM-like encoded private key.
+ */
+export function encodePrivateKey({
+  secretKey, publicKey, checkInt, comment = ''
+}) {
+  const publicKeyBlob = _encodePublicKeyBlob(publicKey);
+  const privateSection = [
+    checkInt,
+    checkInt,
+    _string(KEY_TYPE),
+    _string(publicKey),
+    _string(secretKey),
+    _string(comment)
+  ];
+  const length = privateSection.reduce((sum, bytes) => sum + bytes.length, 0);
+  const padding = new Uint8Array((BLOCK_SIZE - length % BLOCK_SIZE) %
+    BLOCK_SIZE).map((_, i) => i + 1);
+  privateSection.push(padding);
+  const container = concatBytes([
+    new TextEncoder().encode(AUTH_MAGIC),
+    // cipher name, kdf name, kdf options
+    _string('none'),
+    _string('none'),
+    _string(''),
+    _uint32(1),
+    _string(publicKeyBlob),
+    _string(concatBytes(privateSection))
+  ]);
+  const lines = base64Encode(container).match(/.{1,70}/g);
+  return `-----BEGIN ${PEM_LABEL}-----\n${lines.join('\n')}\n` +
+    `-----END ${PEM_LABEL}-----\n`;
+}
+
+/**
+ * Decodes an Ed25519 private key in the unencrypted `openssh-key-v1` format.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.sshPrivateKey - The PEM-like encoded private key.
+ *
+ * @throws {Error} If the key is not a valid unencrypted `ssh-ed25519` private
+ *   key.
+ *
+ * @returns {{secretKey: Uint8Array, publicKey: Uint8Array, comment: string}}
+ *   The 64-byte private key, the 32-byte public key and the comment.
+ */
+export function decodePrivateKey({sshPrivateKey}) {
+  if(typeof sshPrivateKey !== 'string') {
+    throw new TypeError('"sshPrivateKey" must be a string.');
+  }
+  const match = sshPrivateKey.match(new RegExp(
+    `-----BEGIN ${PEM_LABEL}-----([A-Za-z0-9+/=\\s]+)-----END ${PEM_LABEL}-----`
+  ));
+  if(!match) {
+    throw new Error('Invalid OpenSSH private key encoding.');
+  }
+  const reader = _reader(base64Decode(match[1].replace(/\s/g, '')));
+  const magic = new TextDecoder().decode(reader.bytes(AUTH_MAGIC.length));
+  if(magic !== AUTH_MAGIC) {
+    throw new Error('OpenSSH private key must be in "openssh-key-v1" format.');
+  }
+  const cipherName = reader.text();
+  const kdfName = reader.text();
+  reader.string();
+  if(cipherName !== 'none' || kdfName !== 'none') {
+    throw new Error('Encrypted OpenSSH private keys are not supported.');
+  }
+  if(reader.uint32() !== 1) {
+    throw new Error('OpenSSH private key must contain exactly one key.');
+  }
+  const publicKey = _readPublicKeyBlob(_reader(reader.string()));
+  const privateSection = _reader(reader.string());
+  reader.end();
+
+  const checkInt1 = privateSection.uint32();
+  const checkInt2 = privateSection.uint32();
+  if(checkInt1 !== checkInt2) {
+    throw new Error('Invalid OpenSSH private key check bytes.');
+  }
+  if(privateSection.text() !== KEY_TYPE) {
+    throw new Error(`OpenSSH private key type must be "${KEY_TYPE}".`);
+  }
+  const innerPublicKey = privateSection.string();
+  const secretKey = privateSection.string();
+  const comment = privateSection.text();
+  const padding = privateSection.bytes(privateSection.remaining());
+  if(!(padding.length < BLOCK_SIZE &&
+    padding.every((byte, i) => byte === i + 1))) {
+    throw new Error('Invalid OpenSSH private key padding.');
+  }
+  if(!(innerPublicKey.length === 32 && secretKey.length === 64 &&
+    innerPublicKey.every((byte, i) => byte === publicKey[i]) &&
+    secretKey.subarray(32).every((byte, i) => byte === publicKey[i]))) {
+    throw new Error('Invalid OpenSSH private key.');
+  }
+  return {secretKey: secretKey.slice(), publicKey, comment};
+}
+
+function _encodePublicKeyBlob(publicKey) {
+  return concatBytes([_string(KEY_TYPE), _string(publicKey)]);
+}
+
+function _readPublicKeyBlob(reader) {
+  if(reader.text() !== KEY_TYPE) {
+    throw new Error(`OpenSSH public key type must be "${KEY_TYPE}".`);
+  }
+  const publicKey = reader.string();
+  if(publicKey.length !== 32) {
+    throw new Error('OpenSSH public key must be 32 bytes.');
+  }
+  return publicKey.slice();
+}
+
+// SSH `uint32` (RFC 4251 section 5)
+function _uint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+// SSH `string` (RFC 4251 section 5), length prefixed bytes or UTF-8 text
+function _string(value) {
+  const bytes = typeof value === 'string' ?
+    new TextEncoder().encode(value) : value;
+  return concatBytes([_uint32(bytes.length), bytes]);
+}
+
+// sequential reader for SSH wire encoded data
+function _reader(data) {
+  let offset = 0;
+  const reader = {
+    bytes(length) {
+      if(offset + length > data.length) {
+        throw new Error('Invalid OpenSSH key: unexpected end of data.');
+      }
+      const bytes = data.subarray(offset, offset + length);
+      offset += length;
+      return bytes;
+    },
+    uint32() {
+      const bytes = reader.bytes(4);
+      return new DataView(
+        bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+    },
+    string() {
+      return reader.bytes(reader.uint32());
+    },
+    text() {
+      return new TextDecoder().decode(reader.string());
+    },
+    remaining() {
+      return data.length - offset;
+    },
+    end() {
+      if(offset !== data.length) {
+        throw new Error('Invalid OpenSSH key: unexpected trailing data.');
+      }
+    }
+  };
+  return reader;
+}
@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// SHA-256 (FIPS 180-4) for synchronously hashing small inputs where the
+// platform only provides async digests (WebCrypto), such as JWK thumbprints
+// computed in constructors
+
+// initial hash values: the first 32 bits of the fractional parts of the
+// square roots of the first 8 primes
+const IV = Uint32Array.from(_primes(8), p => _fraction(Math.sqrt(p)));
+// round constants: the first 32 bits of the fractional parts of the cube
+// roots of the first 64 primes
+const K = Uint32Array.from(_primes(64), p => _fraction(Math.cbrt(p)));
+
+/**
+ * Computes the SHA-256 digest of data.
+ *
+ * @param {Uint8Array} data - The data to hash.
+ *
+ * @returns {Uint8Array} The 32-byte digest.
+ */
+export function sha256(data) {
+  // pad with 0x80, zeros and the 64-bit big-endian length in bits
+  const length = Math.ceil((data.length + 9) / 64) * 64;
+  const padded = new Uint8Array(length);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  const bits = data.length * 8;
+  view.setUint32(length - 8, bits / 0x100000000 | 0);
+  view.setUint32(length - 4, bits >>> 0);
+
+  const H = IV.slice();
+  const W = new Uint32Array(64);
+  for(let offset = 0; offset < length; offset += 64) {
+    for(let i = 0; i < 16; ++i) {
+      W[i] = view.getUint32(offset + i * 4);
+    }
+    for(let i = 16; i < 64; ++i) {
+      const s0 = _rotr(W[i - 15], 7) ^ _rotr(W[i - 15], 18) ^ W[i - 15] >>> 3;
+      const s1 = _rotr(W[i - 2], 17) ^ _rotr(W[i - 2], 19) ^ W[i - 2] >>> 10;
+      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for(let i = 0; i < 64; ++i) {
+      const S1 = _rotr(e, 6) ^ _rotr(e, 11) ^ _rotr(e, 25);
+      const t1 = h + S1 + (e & f ^ ~e & g) + K[i] + W[i] | 0;
+      const S0 = _rotr(a, 2) ^ _rotr(a, 13) ^ _rotr(a, 22);
+      const t2 = S0 + (a & b ^ a & c ^ b & c) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = d + t1 | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = t1 + t2 | 0;
+    }
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
+  }
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  for(let i = 0; i < 8; ++i) {
+    digestView.setUint32(i * 4, H[i]);
+  }
+  return digest;
+}
+
+function _rotr(x, n) {
+  return x >>> n | x << 32 - n;
+}
+
+// returns the first 32 bits of the fractional part of a number
+function _fraction(x) {
+  return (x - Math.floor(x)) * 0x100000000 >>> 0;
+}
+
+// returns the first `count` primes
+function _primes(count) {
+  const primes = [];
+  for(let n = 2; primes.length < count; ++n) {
+    if(primes.every(p => n % p !== 0)) {
+      primes.push(n);
+    }
+  }
+  return primes;
+}
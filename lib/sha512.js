@@ -0,0 +1,183 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// SHA-512 (FIPS 180-4) for incrementally hashing data where the platform
+// only provides one-shot digests (WebCrypto); 64-bit words are stored as
+// pairs of 32-bit words (high, low)
+
+const BLOCK_LENGTH = 128;
+// initial hash values: the first 64 bits of the fractional parts of the
+// square roots of the first 8 primes
+const IV = _words(_primes(8).map(p => _root(BigInt(p) << 128n, 2n)));
+// round constants: the first 64 bits of the fractional parts of the cube
+// roots of the first 80 primes
+const K = _words(_primes(80).map(p => _root(BigInt(p) << 192n, 3n)));
+
+export class Sha512 {
+  constructor() {
+    this._state = IV.slice();
+    this._words = new Uint32Array(160);
+    this._buffer = new Uint8Array(BLOCK_LENGTH);
+    this._bufferLength = 0;
+    this._length = 0;
+  }
+
+  /**
+   * Adds data to the hash.
+   *
+   * @param {Uint8Array} data - The data to add.
+   *
+   * @returns {Sha512} This hash.
+   */
+  update(data) {
+    let offset = 0;
+    this._length += data.length;
+    if(this._bufferLength > 0) {
+      offset = Math.min(data.length, BLOCK_LENGTH - this._bufferLength);
+      this._buffer.set(data.subarray(0, offset), this._bufferLength);
+      this._bufferLength += offset;
+      if(this._bufferLength < BLOCK_LENGTH) {
+        return this;
+      }
+      this._compress(this._buffer, 0);
+      this._bufferLength = 0;
+    }
+    for(; offset + BLOCK_LENGTH <= data.length; offset += BLOCK_LENGTH) {
+      this._compress(data, offset);
+    }
+    this._buffer.set(data.subarray(offset));
+    this._bufferLength = data.length - offset;
+    return this;
+  }
+
+  /**
+   * Returns the digest of the data added so far; the hash must not be
+   * updated afterwards.
+   *
+   * @returns {Uint8Array} The 64-byte digest.
+   */
+  digest() {
+    // pad with 0x80, zeros and the 128-bit big-endian length in bits
+    const bits = this._length * 8;
+    const padding = new Uint8Array(
+      (this._bufferLength < 112 ? 128 : 256) - this._bufferLength);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, bits / 0x100000000 | 0);
+    view.setUint32(padding.length - 4, bits >>> 0);
+    this.update(padding);
+    const digest = new Uint8Array(64);
+    const digestView = new DataView(digest.buffer);
+    for(let i = 0; i < 16; ++i) {
+      digestView.setUint32(i * 4, this._state[i]);
+    }
+    return digest;
+  }
+
+  _compress(block, offset) {
+    const W = this._words;
+    for(let i = 0; i < 32; ++i) {
+      const j = offset + i * 4;
+      W[i] = (block[j] << 24 | block[j + 1] << 16 | block[j + 2] << 8 |
+        block[j + 3]) >>> 0;
+    }
+    for(let i = 32; i < 160; i += 2) {
+      // sigma0 = rotr1 ^ rotr8 ^ shr7 of W[t - 15]
+      let xh = W[i - 30];
+      let xl = W[i - 29];
+      const s0h = (xh >>> 1 | xl << 31) ^ (xh >>> 8 | xl << 24) ^ xh >>> 7;
+      const s0l = (xl >>> 1 | xh << 31) ^ (xl >>> 8 | xh << 24) ^
+        (xl >>> 7 | xh << 25);
+      // sigma1 = rotr19 ^ rotr61 ^ shr6 of W[t - 2]
+      xh = W[i - 4];
+      xl = W[i - 3];
+      const s1h = (xh >>> 19 | xl << 13) ^ (xl >>> 29 | xh << 3) ^ xh >>> 6;
+      const s1l = (xl >>> 19 | xh << 13) ^ (xh >>> 29 | xl << 3) ^
+        (xl >>> 6 | xh << 26);
+      const lo = (s0l >>> 0) + (s1l >>> 0) + W[i - 13] + W[i - 31];
+      W[i] = (s0h >>> 0) + (s1h >>> 0) + W[i - 14] + W[i - 32] +
+        (lo / 0x100000000 | 0);
+      W[i + 1] = lo;
+    }
+
+    const H = this._state;
+    let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = H;
+    for(let i = 0; i < 160; i += 2) {
+      // Sigma1 = rotr14 ^ rotr18 ^ rotr41 of e
+      const S1h = (eh >>> 14 | el << 18) ^ (eh >>> 18 | el << 14) ^
+        (el >>> 9 | eh << 23);
+      const S1l = (el >>> 14 | eh << 18) ^ (el >>> 18 | eh << 14) ^
+        (eh >>> 9 | el << 23);
+      const choiceH = eh & fh ^ ~eh & gh;
+      const choiceL = el & fl ^ ~el & gl;
+      const t1l = hl + (S1l >>> 0) + (choiceL >>> 0) + K[i + 1] + W[i + 1];
+      const t1h = hh + (S1h >>> 0) + (choiceH >>> 0) + K[i] + W[i] +
+        (t1l / 0x100000000 | 0);
+      // Sigma0 = rotr28 ^ rotr34 ^ rotr39 of a
+      const S0h = (ah >>> 28 | al << 4) ^ (al >>> 2 | ah << 30) ^
+        (al >>> 7 | ah << 25);
+      const S0l = (al >>> 28 | ah << 4) ^ (ah >>> 2 | al << 30) ^
+        (ah >>> 7 | al << 25);
+      const majorityH = ah & bh ^ ah & ch ^ bh & ch;
+      const majorityL = al & bl ^ al & cl ^ bl & cl;
+      const t2l = (S0l >>> 0) + (majorityL >>> 0);
+      const t2h = (S0h >>> 0) + (majorityH >>> 0) +
+        (t2l / 0x100000000 | 0);
+      hh = gh;
+      hl = gl;
+      gh = fh;
+      gl = fl;
+      fh = eh;
+      fl = el;
+      const el64 = dl + (t1l >>> 0);
+      eh = (dh + (t1h >>> 0) + (el64 / 0x100000000 | 0)) >>> 0;
+      el = el64 >>> 0;
+      dh = ch;
+      dl = cl;
+      ch = bh;
+      cl = bl;
+      bh = ah;
+      bl = al;
+      const al64 = (t1l >>> 0) + (t2l >>> 0);
+      ah = ((t1h >>> 0) + (t2h >>> 0) + (al64 / 0x100000000 | 0)) >>> 0;
+      al = al64 >>> 0;
+    }
+    const words = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh,
+      hl];
+    for(let i = 0; i < 16; i += 2) {
+      const lo = H[i + 1] + words[i + 1];
+      H[i] = H[i] + words[i] + (lo / 0x100000000 | 0);
+      H[i + 1] = lo;
+    }
+  }
+}
+
+// returns the first `count` primes
+function _primes(count) {
+  const primes = [];
+  for(let n = 2; primes.length < count; ++n) {
+    if(primes.every(p => n % p !== 0)) {
+      primes.push(n);
+    }
+  }
+  return primes;
+}
+
+// returns the integer `degree`-th root of `n` modulo 2^64 (Newton's method)
+function _root(n, degree) {
+  let x = 1n << BigInt(Math.ceil(n.toString(2).length / Number(degree)));
+  for(;;) {
+    const y = ((degree - 1n) * x + n / x ** (degree - 1n)) / degree;
+    if(y >= x) {
+      return x & 0xffffffffffffffffn;
+    }
+    x = y;
+  }
+}
+
+// splits 64-bit words into pairs of 32-bit words (high, low)
+function _words(values) {
+  return Uint32Array.from(values.flatMap(
+    v => [Number(v >> 32n), Number(v & 0xffffffffn)]));
+}
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+import {KeyFormatError} from './errors.js';
+
+// Shamir's secret sharing over GF(2^8) (the AES field, x^8 + x^4 + x^3 + x +
+// 1), applied to each byte of the secret; a share is the value of a random
+// polynomial of degree `threshold - 1` at its (non-zero) index and the secret
+// is its value at zero
+
+// encoded share: version, threshold, index, public key (32), value (32)
+const SHARE_VERSION = 1;
+const SHARE_LENGTH = 67;
+const MULTIBASE_BASE58BTC_HEADER = 'z';
+
+/**
+ * Splits a secret into shares, any `threshold` of which recombine it.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.secret - The secret.
+ * @param {number} options.threshold - The number of shares required to
+ *   recombine the secret, 2 to 255.
+ * @param {number} options.shares - The number of shares, `threshold` to 255.
+ * @param {Function} options.randomBytes - An async function `length =>
+ *   bytes` that returns random bytes.
+ *
+ * @returns {Promise<Array<{index: number, value: Uint8Array}>>} The shares.
+ */
+export async function split({secret, threshold, shares, randomBytes}) {
+  if(!(Number.isInteger(threshold) && threshold >= 2 && threshold <= 255)) {
+    throw new TypeError('"threshold" must be an integer from 2 to 255.');
+  }
+  if(!(Number.isInteger(shares) && shares >= threshold && shares <= 255)) {
+    throw new TypeError(
+      '"shares" must be an integer from "threshold" to 255.');
+  }
+  // the coefficients of each byte's polynomial; the constant term is the
+  // secret byte
+  const coefficients = await randomBytes(secret.length * (threshold - 1));
+  const result = [];
+  for(let index = 1; index <= shares; ++index) {
+    const value = new Uint8Array(secret.length);
+    for(let i = 0; i < secret.length; ++i) {
+      // Horner's method, from the highest degree coefficient
+      let y = 0;
+      for(let j = threshold - 2; j >= 0; --j) {
+        y = _multiply(y, index) ^ coefficients[i * (threshold - 1) + j];
+      }
+      value[i] = _multiply(y, index) ^ secret[i];
+    }
+    result.push({index, value});
+  }
+  coefficients.fill(0);
+  return result;
+}
+
+/**
+ * Recombines a secret from shares (Lagrange interpolation at zero). Any
+ * `threshold` shares give the secret; fewer give an unrelated value.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<{index: number, value: Uint8Array}>} options.shares - The
+ *   shares, with distinct indexes and values of the same length.
+ *
+ * @returns {Uint8Array} The secret.
+ */
+export function combine({shares}) {
+  const secret = new Uint8Array(shares[0].value.length);
+  for(const {index, value} of shares) {
+    // the Lagrange basis polynomial of this share at zero; subtraction is
+    // addition (XOR) in GF(2^8)
+    let basis = 1;
+    for(const other of shares) {
+      if(other.index !== index) {
+        basis = _multiply(basis,
+          _multiply(other.index, _invert(other.index ^ index)));
+      }
+    }
+    for(let i = 0; i < secret.length; ++i) {
+      secret[i] ^= _multiply(basis, value[i]);
+    }
+  }
+  return secret;
+}
+
+/**
+ * Encodes a share of a private key (seed) as a multibase base58-btc string
+ * that also carries the threshold and the public key.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.threshold - The threshold.
+ * @param {number} options.index - The share index.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {Uint8Array} options.value - The 32-byte share value.
+ *
+ * @returns {string} The encoded share.
+ */
+export function encodeShare({threshold, index, publicKey, value}) {
+  const bytes = new Uint8Array(SHARE_LENGTH);
+  bytes.set([SHARE_VERSION, threshold, index]);
+  bytes.set(publicKey, 3);
+  bytes.set(value, 35);
+  return MULTIBASE_BASE58BTC_HEADER + base58btc.encode(bytes);
+}
+
+/**
+ * Decodes a share encoded with `encodeShare()`.
+ *
+ * @param {string} share - The encoded share.
+ *
+ * @throws {KeyFormatError} With code `invalidShare` if the share is not
+ *   validly encoded.
+ *
+ * @returns {{threshold: number, index: number, publicKey: Uint8Array,
+ *   value: Uint8Array}} The decoded share.
+ */
+export function decodeShare(share) {
+  const bytes = typeof share === 'string' &&
+    share[0] === MULTIBASE_BASE58BTC_HEADER ?
+    base58btc.decode(share.slice(1)) : undefined;
+  if(!(bytes?.length === SHARE_LENGTH && bytes[0] === SHARE_VERSION &&
+    bytes[1] >= 2 && bytes[2] !== 0)) {
+    throw new KeyFormatError(
+      'Share must be a multibase base58-btc encoded private key share.',
+      {code: 'invalidShare'});
+  }
+  return {
+    threshold: bytes[1],
+    index: bytes[2],
+    publicKey: bytes.slice(3, 35),
+    value: bytes.slice(35)
+  };
+}
+
+// multiplies in GF(2^8) without data-dependent branches or table lookups
+function _multiply(a, b) {
+  let product = 0;
+  for(let i = 0; i < 8; ++i) {
+    product ^= -(b & 1) & a;
+    b >>= 1;
+    // multiply `a` by x, reducing by the field polynomial on overflow
+    a = (a << 1) ^ (-(a >> 7) & 0x11b);
+  }
+  return product;
+}
+
+// a^254 = a^-1 in GF(2^8)
+function _invert(a) {
+  let result = 1;
+  for(let i = 0; i < 7; ++i) {
+    a = _multiply(a, a);
+    result = _multiply(result, a);
+  }
+  return result;
+}
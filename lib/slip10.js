@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {concatBytes} from './util.js';
+
+// SLIP-0010 hierarchical deterministic key derivation for Ed25519; only
+// hardened derivation is defined for Ed25519
+// see: https://github.com/satoshilabs/slips/blob/master/slip-0010.md
+
+export const HARDENED_OFFSET = 0x80000000;
+
+const MASTER_KEY_HMAC_KEY = new TextEncoder().encode('ed25519 seed');
+
+/**
+ * Derives the master key and chain code from a seed.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.seed - The 16 to 64 byte seed.
+ * @param {Function} options.hmacSha512 - An async function
+ *   `({key, data}) => mac` that computes HMAC-SHA-512.
+ *
+ * @returns {Promise<{key: Uint8Array, chainCode: Uint8Array}>} The 32-byte
+ *   private key (seed) and chain code.
+ */
+export async function deriveMaster({seed, hmacSha512}) {
+  assertSeed(seed);
+  return _split(await hmacSha512({key: MASTER_KEY_HMAC_KEY, data: seed}));
+}
+
+/**
+ * Checks that a master seed is 16 to 64 bytes (128 to 512 bits).
+ *
+ * @param {Uint8Array} seed - The seed.
+ *
+ * @throws {TypeError} If the seed is not a Uint8Array of 16 to 64 bytes.
+ */
+export function assertSeed(seed) {
+  if(!(seed instanceof Uint8Array && seed.length >= 16 &&
+    seed.length <= 64)) {
+    throw new TypeError('"seed" must be a Uint8Array of 16 to 64 bytes.');
+  }
+}
+
+/**
+ * Derives the key and chain code at a path from the master key.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.key - The master private key (seed).
+ * @param {Uint8Array} options.chainCode - The master chain code.
+ * @param {string} options.path - The derivation path, e.g., `m/44'/0'/1'`;
+ *   every index must be hardened (marked with `'` or `h`).
+ * @param {Function} options.hmacSha512 - See `deriveMaster()`.
+ *
+ * @returns {Promise<{key: Uint8Array, chainCode: Uint8Array}>} The private
+ *   key (seed) and chain code.
+ */
+export async function derivePath({key, chainCode, path, hmacSha512}) {
+  for(const index of parsePath(path)) {
+    // data = 0x00 || private key || ser32(index)
+    const data = concatBytes([new Uint8Array(1), key, new Uint8Array(4)]);
+    new DataView(data.buffer).setUint32(33, index);
+    ({key, chainCode} = _split(await hmacSha512({key: chainCode, data})));
+  }
+  return {key, chainCode};
+}
+
+/**
+ * Parses a derivation path into hardened indexes.
+ *
+ * @param {string} path - The derivation path.
+ *
+ * @throws {TypeError} If the path is malformed or an index is not hardened.
+ *
+ * @returns {Array<number>} The indexes (including the hardened offset).
+ */
+export function parsePath(path) {
+  if(typeof path !== 'string') {
+    throw new TypeError('"path" must be a string.');
+  }
+  const [root, ...segments] = path.split('/');
+  if(root !== 'm') {
+    throw new TypeError(`Invalid derivation path "${path}".`);
+  }
+  return segments.map(segment => {
+    const match = /^(0|[1-9]\d*)(['hH])?$/.exec(segment);
+    const index = Number(match?.[1]);
+    if(!(match && index < HARDENED_OFFSET)) {
+      throw new TypeError(`Invalid derivation path "${path}".`);
+    }
+    if(!match[2]) {
+      throw new TypeError(
+        `Ed25519 only supports hardened derivation: "${path}".`);
+    }
+    return index + HARDENED_OFFSET;
+  });
+}
+
+function _split(mac) {
+  return {key: mac.slice(0, 32), chainCode: mac.slice(32)};
+}
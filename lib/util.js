@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+
+/**
+ * Concatenates Uint8Arrays.
+ *
+ * @param {Array<Uint8Array>} arrays - The arrays to concatenate.
+ *
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+export function concatBytes(arrays) {
+  const length = arrays.reduce((sum, array) => sum + array.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for(const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Encodes bytes as padded base64 (RFC 4648 section 4).
+ *
+ * @param {Uint8Array} bytes - The bytes to encode.
+ *
+ * @returns {string} The base64 encoded bytes.
+ */
+export function base64Encode(bytes) {
+  const base64 = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+  return base64 + '='.repeat((4 - base64.length % 4) % 4);
+}
+
+/**
+ * Decodes base64 (RFC 4648 section 4) encoded bytes.
+ *
+ * @param {string} encoded - The base64 encoded bytes.
+ *
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function base64Decode(encoded) {
+  return base64url.decode(
+    encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+}
+
+/**
+ * Reads the chunks of a Node.js `Readable`, a WHATWG `ReadableStream` or an
+ * (async) iterable of Uint8Arrays.
+ *
+ * @param {object} stream - The stream to read.
+ *
+ * @throws {TypeError} If the stream is not readable or a chunk is not a
+ *   Uint8Array.
+ *
+ * @yields {Uint8Array} The chunks.
+ */
+export async function* readChunks(stream) {
+  let chunks = stream;
+  if(typeof stream?.getReader === 'function') {
+    chunks = _readStream(stream);
+  } else if(!(typeof stream?.[Symbol.asyncIterator] === 'function' ||
+    typeof stream?.[Symbol.iterator] === 'function')) {
+    throw new TypeError(
+      '"stream" must be a Readable, a ReadableStream or an async iterable.');
+  }
+  for await (const chunk of chunks) {
+    if(!(chunk instanceof Uint8Array)) {
+      throw new TypeError('"stream" chunks must be Uint8Arrays.');
+    }
+    yield chunk;
+  }
+}
+
+// browsers do not all support async iteration of a `ReadableStream`
+async function* _readStream(stream) {
+  const reader = stream.getReader();
+  try {
+    for(;;) {
+      const {done, value} = await reader.read();
+      if(done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
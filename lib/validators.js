@@ -1,11 +1,13 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2024 Digital Bazaar, Inc. All rights reserved.
  */
+import {KeyLengthError} from './errors.js';
 
 /**
  * Asserts that key bytes have a type of Uint8Array and a specific length.
  *
- * @throws {TypeError|SyntaxError} - Throws a Type or Syntax error.
+ * @throws {TypeError|KeyLengthError} - Throws a TypeError if `bytes` is not
+ *   a Uint8Array or a KeyLengthError if it has the wrong length.
  *
  * @param {object} options - Options to use.
  * @param {Uint8Array} options.bytes - The bytes being checked.
@@ -19,14 +21,8 @@ export function assertKeyBytes({bytes, expectedLength = 32, code}) {
     throw new TypeError('"bytes" must be a Uint8Array.');
   }
   if(bytes.length !== expectedLength) {
-    const error = new Error(
-      `"bytes" must be a ${expectedLength}-byte Uint8Array.`);
-    // we need DataError for invalid byte length
-    error.name = 'DataError';
-    // add the error code from the did:key spec if provided
-    if(code) {
-      error.code = code;
-    }
-    throw error;
+    // the error code from the did:key spec is added if provided
+    throw new KeyLengthError(
+      `"bytes" must be a ${expectedLength}-byte Uint8Array.`, {code});
   }
 }
@@ -0,0 +1,97 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  add, bytesToNumberLE, decodePoint, isIdentity, isSmallOrder, L, mod,
+  multiply, multiplyBase, multiplyByCofactor, negate
+} from './edwards25519.js';
+import {concatBytes} from './util.js';
+
+/**
+ * Supported signature verification modes:
+ *
+ * - `legacy`: The backend's own verification (node's `crypto.verify()` or
+ *   `@noble/ed25519`); the backends may disagree on edge cases.
+ * - `rfc8032-strict`: Rejects non-canonical `S`, non-canonical encodings of
+ *   the public key and `R`, and small-order public keys and `R`; uses the
+ *   cofactorless verification equation.
+ * - `zip215`: Accepts non-canonical point encodings and small-order points,
+ *   rejects non-canonical `S` and uses the cofactored verification equation
+ *   (ZIP 215).
+ *
+ * `rfc8032-strict` and `zip215` are implemented here so that every backend
+ * gives the same result.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc8032#section-5.1.7
+ * @see https://zips.z.cash/zip-0215
+ */
+export const VERIFICATION_MODES = ['legacy', 'rfc8032-strict', 'zip215'];
+
+export function assertVerificationMode(mode) {
+  if(!VERIFICATION_MODES.includes(mode)) {
+    throw new TypeError(
+      `"mode" must be one of ${VERIFICATION_MODES.join(', ')}.`);
+  }
+}
+
+/**
+ * Verifies a signature using the `rfc8032-strict` or `zip215` mode.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {Uint8Array} options.data - The signed data.
+ * @param {Uint8Array} options.signature - The 64-byte signature.
+ * @param {string} options.mode - The verification mode.
+ * @param {Function} options.sha512 - An async function that returns the
+ *   SHA-512 digest of the given bytes.
+ * @param {Uint8Array} [options.dom] - The `dom2(phflag, context)` prefix of
+ *   Ed25519ctx and Ed25519ph; `data` must already be prehashed for
+ *   Ed25519ph.
+ *
+ * @returns {Promise<boolean>} Resolves with the verification result.
+ */
+export async function verify({
+  publicKey, data, signature, mode, sha512, dom = new Uint8Array()
+}) {
+  assertVerificationMode(mode);
+  if(mode === 'legacy') {
+    throw new Error('"legacy" verification is provided by the backend.');
+  }
+  if(!(signature instanceof Uint8Array && signature.length === 64)) {
+    return false;
+  }
+  const strict = mode === 'rfc8032-strict';
+  const encodedR = signature.subarray(0, 32);
+  const A = decodePoint(publicKey, {canonical: strict});
+  const R = decodePoint(encodedR, {canonical: strict});
+  const s = bytesToNumberLE(signature.subarray(32));
+  if(!(A && R) || s >= L) {
+    return false;
+  }
+  if(strict && (isSmallOrder(A) || isSmallOrder(R))) {
+    return false;
+  }
+  // k = SHA-512(dom || R || A || M), using the encodings as given
+  const k = mod(bytesToNumberLE(
+    await sha512(concatBytes([dom, encodedR, publicKey, data]))), L);
+  // [S]B - R - [k]A
+  let Q = add(multiplyBase(s), negate(add(R, multiply(A, k))));
+  if(!strict) {
+    Q = multiplyByCofactor(Q);
+  }
+  return isIdentity(Q);
+}
+
+/**
+ * Checks whether a public key is weak: not a canonically encoded point or a
+ * point of small order. Signatures of small-order public keys are not bound
+ * to a single message.
+ *
+ * @param {Uint8Array} publicKey - The 32-byte public key.
+ *
+ * @returns {boolean} `true` if the public key is weak.
+ */
+export function isWeakPublicKey(publicKey) {
+  const A = decodePoint(publicKey);
+  return !A || isSmallOrder(A);
+}
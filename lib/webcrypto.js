@@ -0,0 +1,115 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {encodePkcs8} from './der.js';
+
+// WebCrypto (`crypto.subtle`) provides the same Ed25519 API in browsers and
+// Node.js, so key pairs backed by a `CryptoKey` use it on every platform
+const ALGORITHM = {name: 'Ed25519'};
+
+/**
+ * Generates an Ed25519 key pair as `CryptoKey`s.
+ *
+ * @param {object} options - Options to use.
+ * @param {boolean} options.extractable - Make the private key extractable?
+ *
+ * @returns {Promise<{publicKey: CryptoKey, privateKey: CryptoKey}>} The key
+ *   pair.
+ */
+export async function generateKeyPair({extractable}) {
+  const {publicKey, privateKey} = await _subtle().generateKey(
+    ALGORITHM, extractable, ['sign', 'verify']);
+  return {publicKey, privateKey};
+}
+
+/**
+ * Imports raw Ed25519 key bytes as `CryptoKey`s.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.publicKey - The 32-byte public key.
+ * @param {Uint8Array} [options.seed] - The 32-byte private key (seed).
+ * @param {boolean} options.extractable - Make the private key extractable?
+ *
+ * @returns {Promise<{publicKey: CryptoKey, privateKey: CryptoKey}>} The key
+ *   pair; `privateKey` is `undefined` if no `seed` is given.
+ */
+export async function importKeyPair({publicKey, seed, extractable}) {
+  const keyPair = {
+    publicKey: await importPublicKey(publicKey)
+  };
+  if(seed) {
+    keyPair.privateKey = await importPrivateKey({seed, extractable});
+  }
+  return keyPair;
+}
+
+export async function importPublicKey(publicKey) {
+  return _subtle().importKey('raw', publicKey, ALGORITHM, true, ['verify']);
+}
+
+export async function importPrivateKey({seed, extractable}) {
+  return _subtle().importKey(
+    'pkcs8', encodePkcs8({seed}), ALGORITHM, extractable, ['sign']);
+}
+
+/**
+ * Derives the public key of a private key (seed) using WebCrypto.
+ *
+ * @param {Uint8Array} seed - The 32-byte private key (seed).
+ *
+ * @returns {Promise<Uint8Array>} The 32-byte public key.
+ */
+export async function derivePublicKey(seed) {
+  const privateKey = await importPrivateKey({seed, extractable: true});
+  // a private JWK includes the public key (`x`)
+  const {x} = await _subtle().exportKey('jwk', privateKey);
+  return base64url.decode(x);
+}
+
+export async function digest({algorithm, data}) {
+  return new Uint8Array(await _subtle().digest(algorithm, data));
+}
+
+/**
+ * Exports the raw bytes of an Ed25519 public `CryptoKey`.
+ *
+ * @param {CryptoKey} publicKey - The public key.
+ *
+ * @returns {Promise<Uint8Array>} The 32-byte public key.
+ */
+export async function exportPublicKey(publicKey) {
+  return new Uint8Array(await _subtle().exportKey('raw', publicKey));
+}
+
+export async function sign({privateKey, data}) {
+  return new Uint8Array(await _subtle().sign(ALGORITHM, privateKey, data));
+}
+
+export async function verify({publicKey, data, signature}) {
+  return _subtle().verify(ALGORITHM, publicKey, signature, data);
+}
+
+/**
+ * Checks that a value is an Ed25519 `CryptoKey` of the given type.
+ *
+ * @param {object} options - Options to use.
+ * @param {CryptoKey} options.key - The key to check.
+ * @param {string} options.type - The key type, `public` or `private`.
+ * @param {string} options.name - The name of the key in error messages.
+ *
+ * @throws {TypeError} If the key is not an Ed25519 `CryptoKey` of the type.
+ */
+export function assertCryptoKey({key, type, name}) {
+  if(!(key?.type === type && key.algorithm?.name === ALGORITHM.name)) {
+    throw new TypeError(`"${name}" must be an Ed25519 ${type} CryptoKey.`);
+  }
+}
+
+function _subtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if(!subtle) {
+    throw new Error('WebCrypto ("crypto.subtle") is not available.');
+  }
+  return subtle;
+}
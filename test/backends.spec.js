@@ -0,0 +1,210 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+const {expect} = chai;
+
+import {Ed25519VerificationKey2020} from '../lib/index.js';
+import {mockKey} from './mock-data.js';
+
+const data = new TextEncoder().encode('test data goes here');
+
+// the noble and webcrypto backends use the global WebCrypto API, which
+// Node.js only provides from v19 on
+const hasWebCrypto = !!globalThis.crypto?.subtle;
+
+// a custom backend that records its calls and delegates to another backend
+function createRecordingBackend(name) {
+  const calls = [];
+  const keyPair = new Ed25519VerificationKey2020({
+    ...mockKey, backend: name
+  });
+  const delegate = keyPair._backend;
+  const backend = {calls};
+  for(const fn of [
+    'generateKeyPair', 'generateKeyPairFromSeed', 'sign', 'verify',
+    'sha256digest'
+  ]) {
+    backend[fn] = async (...args) => {
+      calls.push(fn);
+      return delegate[fn](...args);
+    };
+  }
+  return backend;
+}
+
+describe('backends', () => {
+  const defaultBackend = Ed25519VerificationKey2020.getBackend();
+
+  afterEach(() => {
+    Ed25519VerificationKey2020.setBackend(defaultBackend);
+  });
+
+  // the conformance suite every backend must pass
+  for(const name of ['node', 'noble', 'webcrypto']) {
+    describe(`${name} conformance`, () => {
+      before(function() {
+        if(name !== 'node' && !hasWebCrypto) {
+          this.skip();
+        }
+      });
+
+      it('passes the known answer checks', async () => {
+        await Ed25519VerificationKey2020.assertBackend(name);
+      });
+
+      it('generates, signs and verifies', async () => {
+        const keyPair = await Ed25519VerificationKey2020.generate({
+          backend: name
+        });
+        const signature = await keyPair.signer().sign({data});
+        expect(signature).to.have.length(64);
+        expect(await keyPair.verifier().verify({data, signature}))
+          .to.be.true;
+        expect(await keyPair.verifier().verify({
+          data: new Uint8Array(1), signature
+        })).to.be.false;
+      });
+
+      it('produces the same signatures as the default backend', async () => {
+        const keyPair = new Ed25519VerificationKey2020({
+          ...mockKey, backend: name
+        });
+        const expected = new Ed25519VerificationKey2020(mockKey);
+        expect(await keyPair.signer().sign({data})).to.eql(
+          await expected.signer().sign({data}));
+        expect(await keyPair.jwkThumbprint()).to.equal(
+          await expected.jwkThumbprint());
+      });
+    });
+  }
+
+  it('should retry a failed webcrypto key import', async function() {
+    if(!hasWebCrypto) {
+      this.skip();
+    }
+    const keyPair = new Ed25519VerificationKey2020({
+      ...mockKey, backend: 'webcrypto'
+    });
+    const {subtle} = globalThis.crypto;
+    subtle.importKey = async () => {
+      throw new Error('Import failed.');
+    };
+    let error;
+    try {
+      await keyPair.signer().sign({data});
+    } catch(e) {
+      error = e;
+    } finally {
+      delete subtle.importKey;
+    }
+    expect(error.message).to.equal('Import failed.');
+    expect(await keyPair.signer().sign({data})).to.have.length(64);
+  });
+
+  it('should use a registered custom backend', async () => {
+    const backend = createRecordingBackend(defaultBackend);
+    Ed25519VerificationKey2020.registerBackend({name: 'custom', backend});
+    await Ed25519VerificationKey2020.assertBackend('custom');
+
+    backend.calls.length = 0;
+    const keyPair = new Ed25519VerificationKey2020({
+      ...mockKey, backend: 'custom'
+    });
+    const signature = await keyPair.signer().sign({data});
+    const [result] = await keyPair.verifier().verifyBatch([
+      {data, signature}
+    ]);
+    expect(result).to.be.true;
+    expect(backend.calls).to.eql(['sign', 'verify']);
+  });
+
+  it('should only inherit default functions if asked to', async () => {
+    const backend = createRecordingBackend(defaultBackend);
+    Ed25519VerificationKey2020.registerBackend({name: 'partial', backend});
+    let error;
+    try {
+      await Ed25519VerificationKey2020.generate({
+        mnemonic: true, backend: 'partial'
+      });
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.message).to.equal(
+      'Backend "partial" does not provide "randomBytes()".');
+
+    Ed25519VerificationKey2020.registerBackend({
+      name: 'partial', backend, inheritDefaults: true
+    });
+    const {keyPair} = await Ed25519VerificationKey2020.generate({
+      mnemonic: true, backend: 'partial'
+    });
+    expect(keyPair.privateKeyMultibase).to.exist;
+  });
+
+  it('should select a backend for all key pairs', async () => {
+    const backend = createRecordingBackend(defaultBackend);
+    Ed25519VerificationKey2020.registerBackend({name: 'selected', backend});
+    Ed25519VerificationKey2020.setBackend('selected');
+    expect(Ed25519VerificationKey2020.getBackend()).to.equal('selected');
+
+    const keyPair = await Ed25519VerificationKey2020.generate();
+    await keyPair.signer().sign({data});
+    expect(backend.calls).to.eql(['generateKeyPair', 'sign']);
+
+    // a key pair's `backend` option takes precedence
+    backend.calls.length = 0;
+    const other = new Ed25519VerificationKey2020({
+      ...mockKey, backend: defaultBackend
+    });
+    await other.signer().sign({data});
+    expect(backend.calls).to.eql([]);
+  });
+
+  it('should error on an unknown backend', async () => {
+    let error;
+    try {
+      new Ed25519VerificationKey2020({...mockKey, backend: 'unknown'});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.message).to.equal('Backend "unknown" is not registered.');
+
+    error = undefined;
+    try {
+      Ed25519VerificationKey2020.setBackend('unknown');
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(Error);
+  });
+
+  it('should error on an incomplete backend', async () => {
+    let error;
+    try {
+      Ed25519VerificationKey2020.registerBackend({
+        name: 'incomplete', backend: {sign() {}}
+      });
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(TypeError);
+    expect(error.message).to.equal(
+      '"backend" must have a "generateKeyPair" function.');
+  });
+
+  it('should report a failed conformance check', async () => {
+    const backend = createRecordingBackend(defaultBackend);
+    backend.sign = async () => new Uint8Array(64);
+    let error;
+    try {
+      await Ed25519VerificationKey2020.assertBackend(backend);
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.message).to.equal('Backend check "sign" failed.');
+  });
+});
@@ -6,8 +6,16 @@ chai.should();
 
 import {Ed25519VerificationKey2020} from '../lib/index.js';
 import {stringToUint8Array} from './text-encoder.js';
+import * as base58btc from 'base58-universal';
 import * as StableLibEd25519 from '@stablelib/ed25519';
-import {randomBytes} from 'node:crypto';
+import {
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  randomBytes,
+  sign,
+  verify
+} from 'node:crypto';
 
 import {promisify} from 'node:util';
 
@@ -25,6 +33,32 @@ describe('compatibility', () => {
       result.should.be.true;
     });
   });
+  describe('node crypto PEM keys', () => {
+    it('should import keys exported by node crypto', async () => {
+      const {privateKey, publicKey} = generateKeyPairSync('ed25519');
+      const data = stringToUint8Array('pem key test');
+      const keyPair = await Ed25519VerificationKey2020.fromPem({
+        pem: privateKey.export({format: 'pem', type: 'pkcs8'})
+      });
+      const publicKeyPair = await Ed25519VerificationKey2020.fromPem({
+        pem: publicKey.export({format: 'pem', type: 'spki'})
+      });
+      keyPair.publicKeyMultibase.should.equal(
+        publicKeyPair.publicKeyMultibase);
+      const signature = await keyPair.signer().sign({data});
+      verify(null, data, publicKey, signature).should.be.true;
+    });
+    it('should export keys that node crypto can import', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      const data = stringToUint8Array('pem key test');
+      const privateKey = createPrivateKey(keyPair.toPem({privateKey: true}));
+      const publicKey = createPublicKey(keyPair.toPem());
+      const signature = sign(null, data, privateKey);
+      const result = await keyPair.verifier().verify({data, signature});
+      result.should.be.true;
+      verify(null, data, publicKey, signature).should.be.true;
+    });
+  });
   describe('@stablelib ed25519 keys', () => {
     it('should verify signature from node ed25519 keys', async () => {
       const data = stringToUint8Array('ed25519 key test');
@@ -36,5 +70,17 @@ describe('compatibility', () => {
         publicKey, data, signature);
       result.should.be.true;
     });
+    it('should derive the same X25519 keys as @stablelib', async () => {
+      const seed = await randomBytesAsync(32);
+      const libraryNodeKey = await Ed25519VerificationKey2020.generate({seed});
+      const {publicKeyMultibase, privateKeyMultibase} =
+        await libraryNodeKey.toX25519KeyAgreementKey();
+      const {publicKey, secretKey} =
+        await StableLibEd25519.generateKeyPairFromSeed(seed);
+      base58btc.decode(publicKeyMultibase.slice(1)).slice(2).should.eql(
+        StableLibEd25519.convertPublicKeyToX25519(publicKey));
+      base58btc.decode(privateKeyMultibase.slice(1)).slice(2).should.eql(
+        StableLibEd25519.convertSecretKeyToX25519(secretKey));
+    });
   });
 });
@@ -4,10 +4,15 @@
 import chai from 'chai';
 chai.should();
 
-import {Ed25519VerificationKey2020} from '../lib/index.js';
-import {mockKey, suites} from './mock-data.js';
+import {Ed25519VerificationKey2020, KeyFormatError} from '../lib/index.js';
+import * as cbor from '../lib/cbor.js';
+import {Sha512} from '../lib/sha512.js';
+import {
+  cose, edgeCaseSignatures, mockKey, rfc8032, rfc8037, suites
+} from './mock-data.js';
 import {stringToUint8Array} from './text-encoder.js';
 import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
 
 const keyPair = new Ed25519VerificationKey2020({
   controller: 'did:example:1234',
@@ -59,3 +64,695 @@ describe('sign and verify', () => {
     });
   }
 });
+
+describe('verify batch', () => {
+  const data = ['test 1', 'test 2', 'test 3'].map(stringToUint8Array);
+
+  it('verifies many signatures with one key', async () => {
+    const signatures = await Promise.all(data.map(data => signer.sign({data})));
+    const items = data.map((data, i) => ({data, signature: signatures[i]}));
+    const results = await verifier.verifyBatch(items);
+    results.should.eql([true, true, true]);
+  });
+
+  it('pinpoints which signatures failed', async () => {
+    const signatures = await Promise.all(data.map(data => signer.sign({data})));
+    const items = data.map((data, i) => ({data, signature: signatures[i]}));
+    items[1].data = stringToUint8Array('test 4321');
+    items[2].signature = new Uint8Array(64);
+    const results = await verifier.verifyBatch(items);
+    results.should.eql([true, false, false]);
+  });
+
+  it('verifies signatures from many keys', async () => {
+    const keyPairs = await Promise.all(
+      data.map(() => Ed25519VerificationKey2020.generate()));
+    const items = await Promise.all(keyPairs.map(async (publicKey, i) => ({
+      publicKey,
+      data: data[i],
+      signature: await publicKey.signer().sign({data: data[i]})
+    })));
+    let results = await Ed25519VerificationKey2020.verifyBatch(items);
+    results.should.eql([true, true, true]);
+
+    // swap the keys used to verify the first two signatures
+    [items[0].publicKey, items[1].publicKey] =
+      [items[1].publicKey, items[0].publicKey];
+    results = await Ed25519VerificationKey2020.verifyBatch(items);
+    results.should.eql([false, false, true]);
+  });
+
+  it('rejects a public key that is not a key pair', async () => {
+    const keyPair = await Ed25519VerificationKey2020.generate();
+    const signature = await keyPair.signer().sign({data: data[0]});
+    for(const publicKey of [keyPair._publicKeyBuffer, undefined]) {
+      let error;
+      try {
+        await Ed25519VerificationKey2020.verifyBatch(
+          [{publicKey, data: data[0], signature}]);
+      } catch(e) {
+        error = e;
+      }
+      error.should.be.an.instanceof(TypeError);
+      error.message.should.equal(
+        'Each item\'s "publicKey" must be an Ed25519VerificationKey2020 ' +
+        'key pair.');
+    }
+  });
+
+  it('returns no results for no signatures', async () => {
+    const results = await Ed25519VerificationKey2020.verifyBatch([]);
+    results.should.eql([]);
+  });
+});
+
+describe('JWS', () => {
+  const payload = '{"hello":"world"}';
+
+  it('signs and verifies RFC 8037 test vector', async () => {
+    const keyPair = await Ed25519VerificationKey2020.generate({
+      seed: base64url.decode(rfc8037.privateKeyJwk.d)
+    });
+    keyPair.toJwk().x.should.equal(rfc8037.privateKeyJwk.x);
+    const jws = await keyPair.signJws({payload: rfc8037.payload});
+    jws.should.equal(rfc8037.jws);
+    const result = await keyPair.verifyJws({jws});
+    result.should.be.true;
+  });
+
+  it('includes the key id as "kid"', async () => {
+    const jws = await keyPair.signJws({payload, header: {typ: 'JWT'}});
+    const header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(jws.split('.')[0])));
+    header.should.eql({alg: 'EdDSA', kid: keyPair.id, typ: 'JWT'});
+    const result = await keyPair.verifyJws({jws});
+    result.should.be.true;
+  });
+
+  it('fails if the payload is changed', async () => {
+    const jws = await keyPair.signJws({payload});
+    const [header, , signature] = jws.split('.');
+    const changed = `${header}.${base64url.encode('{}')}.${signature}`;
+    const result = await keyPair.verifyJws({jws: changed});
+    result.should.be.false;
+  });
+
+  it('signs and verifies a detached JWS', async () => {
+    const jws = await keyPair.signJws({payload, detached: true});
+    jws.split('.')[1].should.equal('');
+    let result = await keyPair.verifyJws({jws, payload});
+    result.should.be.true;
+    result = await keyPair.verifyJws({
+      jws, payload: stringToUint8Array(payload)
+    });
+    result.should.be.true;
+    result = await keyPair.verifyJws({jws, payload: '{}'});
+    result.should.be.false;
+  });
+
+  it('requires the payload to verify a detached JWS', async () => {
+    const jws = await keyPair.signJws({payload, detached: true});
+    let error;
+    try {
+      await keyPair.verifyJws({jws});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal('"payload" is required for a detached JWS.');
+  });
+
+  it('signs and verifies an unencoded payload (RFC 7797)', async () => {
+    const jws = await keyPair.signJws({payload, b64: false});
+    jws.split('.')[1].should.equal(payload);
+    const header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(jws.split('.')[0])));
+    header.b64.should.be.false;
+    header.crit.should.eql(['b64']);
+    const result = await keyPair.verifyJws({jws});
+    result.should.be.true;
+  });
+
+  it('signs and verifies a detached unencoded payload', async () => {
+    const data = 'payload.with.dots';
+    const jws = await keyPair.signJws({
+      payload: data, b64: false, detached: true
+    });
+    let result = await keyPair.verifyJws({jws, payload: data});
+    result.should.be.true;
+    result = await keyPair.verifyJws({jws, payload: 'other'});
+    result.should.be.false;
+  });
+
+  it('rejects an unencoded payload containing "."', async () => {
+    let error;
+    try {
+      await keyPair.signJws({payload: 'a.b', b64: false});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal(
+      'An unencoded JWS payload must not contain "." unless detached.');
+
+    // a JWS with an unencoded payload containing "." is rejected as well
+    const [encodedHeader, , signature] = (await keyPair.signJws({
+      payload: 'a.b', b64: false, detached: true
+    })).split('.');
+    error = undefined;
+    try {
+      await keyPair.verifyJws({jws: `${encodedHeader}.a.b.${signature}`});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal(
+      'An unencoded JWS payload must not contain "." unless detached.');
+  });
+
+  it('signs and verifies a detached binary unencoded payload', async () => {
+    // not UTF-8 and contains "."
+    const data = new Uint8Array([0xff, 0x00, 0x2e, 0xc3, 0x28]);
+    const jws = await keyPair.signJws({
+      payload: data, b64: false, detached: true
+    });
+    let result = await keyPair.verifyJws({jws, payload: data});
+    result.should.be.true;
+    result = await keyPair.verifyJws({
+      jws, payload: new Uint8Array([0xff, 0x00, 0x2e, 0xc3, 0x29])
+    });
+    result.should.be.false;
+  });
+
+  it('rejects a binary unencoded payload unless detached', async () => {
+    let error;
+    try {
+      await keyPair.signJws({
+        payload: new Uint8Array([0xff, 0x00]), b64: false
+      });
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal(
+      'An unencoded JWS payload must be UTF-8 text unless detached.');
+  });
+
+  it('rejects an "alg" other than "EdDSA"', async () => {
+    let error;
+    try {
+      await keyPair.signJws({payload, header: {alg: 'ES256'}});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('JWS "alg" must be "EdDSA".');
+
+    const jws = await keyPair.signJws({payload});
+    const [, encodedPayload, signature] = jws.split('.');
+    const header = base64url.encode(JSON.stringify({alg: 'none'}));
+    const changed = `${header}.${encodedPayload}.${signature}`;
+    error = undefined;
+    try {
+      await keyPair.verifyJws({jws: changed});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('JWS "alg" must be "EdDSA".');
+  });
+
+  it('rejects unsupported critical header parameters', async () => {
+    const jws = await keyPair.signJws({
+      payload, header: {exp: 1, crit: ['exp']}
+    });
+    let error;
+    try {
+      await keyPair.verifyJws({jws});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal(
+      'JWS "crit" header parameters are not supported.');
+  });
+
+  it('rejects a JWS that is not in compact serialization', async () => {
+    let error;
+    try {
+      await keyPair.verifyJws({jws: 'a.b'});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('JWS must be in compact serialization.');
+  });
+});
+
+describe('COSE_Sign1', () => {
+  const payload = stringToUint8Array('{"hello":"world"}');
+
+  function hexToBytes(hex) {
+    return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+  }
+
+  async function coseKeyPair() {
+    return Ed25519VerificationKey2020.fromJwk({
+      jwk: rfc8037.privateKeyJwk, id: '11'
+    });
+  }
+
+  function decodeProtectedHeader(coseSign1) {
+    return cbor.decode(cbor.decode(coseSign1).value[0]);
+  }
+
+  it('matches the cose-wg EdDSA example signature', async () => {
+    // the COSE_Sign Sig_structure of the example
+    const data = cbor.encode([
+      'Signature', hexToBytes(cose.sign.bodyProtected),
+      hexToBytes(cose.sign.signProtected), new Uint8Array(),
+      stringToUint8Array(cose.payload)
+    ]);
+    const keyPair = await coseKeyPair();
+    const signature = await keyPair.signer().sign({data});
+    signature.should.eql(hexToBytes(cose.sign.signature));
+  });
+
+  it('signs and verifies a known COSE_Sign1', async () => {
+    const keyPair = await coseKeyPair();
+    const coseSign1 = await keyPair.signCose1({
+      payload: cose.payload,
+      unprotectedHeader: new Map([[4, stringToUint8Array('11')]])
+    });
+    coseSign1.should.eql(hexToBytes(cose.sign1));
+    const result = await keyPair.verifyCose1({cose: coseSign1});
+    result.should.be.true;
+  });
+
+  it('includes "alg" EdDSA and the key id as "kid"', async () => {
+    const coseSign1 = await keyPair.signCose1({
+      payload, protectedHeader: {3: 'application/json'}
+    });
+    decodeProtectedHeader(coseSign1).should.eql(new Map([
+      [1, -8], [4, stringToUint8Array(keyPair.id)], [3, 'application/json']
+    ]));
+    const result = await keyPair.verifyCose1({cose: coseSign1});
+    result.should.be.true;
+  });
+
+  it('fails if the payload or external data is changed', async () => {
+    const externalAad = stringToUint8Array('aad');
+    const coseSign1 = await keyPair.signCose1({payload, externalAad});
+    const message = cbor.decode(coseSign1);
+    message.value[2] = stringToUint8Array('{"hello":"there"}');
+    (await keyPair.verifyCose1({cose: cbor.encode(message)}))
+      .should.be.false;
+    (await keyPair.verifyCose1({cose: coseSign1})).should.be.false;
+    (await keyPair.verifyCose1({cose: coseSign1, externalAad}))
+      .should.be.true;
+  });
+
+  it('signs and verifies a detached payload', async () => {
+    const coseSign1 = await keyPair.signCose1({payload, detached: true});
+    (cbor.decode(coseSign1).value[2] === null).should.be.true;
+    (await keyPair.verifyCose1({cose: coseSign1, payload})).should.be.true;
+    let error;
+    try {
+      await keyPair.verifyCose1({cose: coseSign1});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.an.instanceof(TypeError);
+    error.message.should.equal(
+      '"payload" is required for a detached COSE_Sign1.');
+  });
+
+  it('rejects other algorithms', async () => {
+    let error;
+    try {
+      await keyPair.signCose1({payload, protectedHeader: {1: -7}});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.an.instanceof(Error);
+    error.message.should.equal('COSE "alg" must be EdDSA (-8).');
+
+    const message = cbor.decode(await keyPair.signCose1({payload}));
+    message.value[0] = cbor.encode(new Map([[1, -7]]));
+    error = undefined;
+    try {
+      await keyPair.verifyCose1({cose: cbor.encode(message)});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.an.instanceof(Error);
+    error.message.should.equal('COSE "alg" must be EdDSA (-8).');
+  });
+
+  it('rejects deeply nested CBOR', async () => {
+    // 100000 nested one-item arrays
+    const cose = new Uint8Array(100001).fill(0x81);
+    cose[cose.length - 1] = 0;
+    let error;
+    try {
+      await keyPair.verifyCose1({cose});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.an.instanceof(KeyFormatError);
+    error.code.should.equal('invalidCbor');
+    error.message.should.equal('Invalid CBOR: nesting depth exceeds 16.');
+
+    // 16 levels of nesting are supported
+    cbor.decode(cose.subarray(cose.length - 17)).should.eql(
+      JSON.parse('['.repeat(16) + '0' + ']'.repeat(16)));
+  });
+
+  it('rejects critical header parameters', async () => {
+    const coseSign1 = await keyPair.signCose1({
+      payload, protectedHeader: {2: [-65537], '-65537': 1}
+    });
+    let error;
+    try {
+      await keyPair.verifyCose1({cose: coseSign1});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.an.instanceof(Error);
+    error.message.should.equal(
+      'COSE "crit" header parameters are not supported.');
+  });
+});
+
+describe('verification modes', () => {
+  const data = stringToUint8Array('test 1234');
+
+  function hexToBytes(hex) {
+    return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+  }
+
+  function keyPairFromHex(hex) {
+    const bytes = new Uint8Array([0xed, 0x01, ...hexToBytes(hex)]);
+    return new Ed25519VerificationKey2020({
+      publicKeyMultibase: 'z' + base58btc.encode(bytes)
+    });
+  }
+
+  for(const mode of ['rfc8032-strict', 'zip215']) {
+    for(const vector of edgeCaseSignatures) {
+      it(`${mode}: ${vector.name}`, async () => {
+        const {verify, verifyBatch} =
+          keyPairFromHex(vector.publicKey).verifier({mode});
+        const signature = hexToBytes(vector.signature);
+        let result = await verify({data, signature});
+        result.should.equal(vector[mode]);
+        result = await verifyBatch([{data, signature}]);
+        result.should.eql([vector[mode]]);
+      });
+    }
+
+    it(`${mode}: fails if signing data is changed`, async () => {
+      const signature = await signer.sign({data});
+      const {verify} = keyPair.verifier({mode});
+      const result = await verify({
+        data: stringToUint8Array('test 4321'), signature
+      });
+      result.should.be.false;
+    });
+  }
+
+  it('verifies many keys with a mode', async () => {
+    const items = edgeCaseSignatures.map(vector => ({
+      publicKey: keyPairFromHex(vector.publicKey),
+      data,
+      signature: hexToBytes(vector.signature)
+    }));
+    const results = await Ed25519VerificationKey2020.verifyBatch(
+      items, {mode: 'rfc8032-strict'});
+    results.should.eql(edgeCaseSignatures.map(v => v['rfc8032-strict']));
+  });
+
+  it('verifies in "legacy" mode', async () => {
+    const signature = await signer.sign({data});
+    const result = await keyPair.verifier({mode: 'legacy'}).verify({
+      data, signature
+    });
+    result.should.be.true;
+  });
+
+  it('rejects an unknown mode', async () => {
+    let error;
+    try {
+      keyPair.verifier({mode: 'strict'});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal(
+      '"mode" must be one of legacy, rfc8032-strict, zip215.');
+  });
+});
+
+describe('Ed25519ctx and Ed25519ph', () => {
+  const data = stringToUint8Array('test 1234');
+
+  function hexToBytes(hex) {
+    return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+  }
+
+  function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function keyPairFromVector({seed}) {
+    return Ed25519VerificationKey2020.generate({seed: hexToBytes(seed)});
+  }
+
+  it('signs and verifies the RFC 8032 Ed25519ctx test vector', async () => {
+    const {context, message, signature} = rfc8032.ctx;
+    const vectorKeyPair = await keyPairFromVector(rfc8032.ctx);
+    const data = hexToBytes(message);
+    const result = await vectorKeyPair.signer({context}).sign({data});
+    bytesToHex(result).should.equal(signature);
+    const verified = await vectorKeyPair.verifier({context}).verify({
+      data, signature: result
+    });
+    verified.should.be.true;
+  });
+
+  it('signs and verifies the RFC 8032 Ed25519ph test vector', async () => {
+    const {message, signature} = rfc8032.ph;
+    const vectorKeyPair = await keyPairFromVector(rfc8032.ph);
+    const data = hexToBytes(message);
+    const result = await vectorKeyPair.signer({prehash: true}).sign({data});
+    bytesToHex(result).should.equal(signature);
+    const verified = await vectorKeyPair.verifier({prehash: true}).verify({
+      data, signature: result
+    });
+    verified.should.be.true;
+  });
+
+  it('names the variant in the signer and verifier', async () => {
+    signer.should.have.property('algorithm', 'Ed25519');
+    verifier.should.have.property('algorithm', 'Ed25519');
+    const ctxSigner = keyPair.signer({context: 'foo'});
+    ctxSigner.should.have.property('algorithm', 'Ed25519ctx');
+    ctxSigner.should.have.property('context', 'foo');
+    ctxSigner.should.have.property('id', signer.id);
+    keyPair.signer({prehash: true}).should.have.property(
+      'algorithm', 'Ed25519ph');
+    keyPair.verifier({context: 'foo', prehash: true}).should.have.property(
+      'algorithm', 'Ed25519ph');
+  });
+
+  it('does not verify across variants or contexts', async () => {
+    const signature = await keyPair.signer({context: 'foo'}).sign({data});
+    const verifiers = [
+      keyPair.verifier(),
+      keyPair.verifier({mode: 'rfc8032-strict'}),
+      keyPair.verifier({context: 'bar'}),
+      keyPair.verifier({context: 'foo', prehash: true})
+    ];
+    for(const {verify} of verifiers) {
+      const result = await verify({data, signature});
+      result.should.be.false;
+    }
+    const pureSignature = await signer.sign({data});
+    const result = await keyPair.verifier({context: 'foo'}).verify({
+      data, signature: pureSignature
+    });
+    result.should.be.false;
+  });
+
+  it('verifies a batch with a context', async () => {
+    const ctxSigner = keyPair.signer({context: 'foo'});
+    const signature = await ctxSigner.sign({data});
+    const results = await keyPair.verifier({context: 'foo', mode: 'zip215'})
+      .verifyBatch([
+        {data, signature},
+        {data: stringToUint8Array('test 4321'), signature}
+      ]);
+    results.should.eql([true, false]);
+  });
+
+  it('rejects an empty Ed25519ctx context', async () => {
+    let error;
+    try {
+      keyPair.signer({context: ''});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal(
+      '"context" must not be empty for Ed25519ctx.');
+  });
+
+  it('rejects a context longer than 255 bytes', async () => {
+    let error;
+    try {
+      keyPair.verifier({context: new Uint8Array(256)});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal('"context" must be at most 255 bytes.');
+  });
+
+  it('rejects "legacy" mode for a variant', async () => {
+    let error;
+    try {
+      keyPair.verifier({mode: 'legacy', prehash: true});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal(
+      'Ed25519ctx and Ed25519ph signatures cannot be verified in "legacy" ' +
+      'mode.');
+  });
+
+  it('rejects a variant with an external signer', async () => {
+    const externalKeyPair = new Ed25519VerificationKey2020({
+      publicKeyMultibase: mockKey.publicKeyMultibase,
+      signer: {sign: async () => new Uint8Array(64)}
+    });
+    let error;
+    try {
+      externalKeyPair.signer({prehash: true});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal(
+      'An external signer cannot be used with Ed25519ph.');
+  });
+});
+
+describe('streaming', () => {
+  const chunks = [
+    stringToUint8Array('a large '),
+    new Uint8Array(1000).fill(0x61),
+    stringToUint8Array(' payload')
+  ];
+  const data = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  chunks.reduce((offset, chunk) => {
+    data.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  async function* iterate() {
+    yield* chunks;
+  }
+
+  function readableStream() {
+    return new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(chunk));
+        controller.close();
+      }
+    });
+  }
+
+  it('signs and verifies an async iterable with Ed25519ph', async () => {
+    const phSigner = keyPair.signer({prehash: true});
+    const signature = await phSigner.signStream({stream: iterate()});
+    const expected = await phSigner.sign({data});
+    signature.should.eql(expected);
+    const phVerifier = keyPair.verifier({prehash: true});
+    let result = await phVerifier.verifyStream({stream: iterate(), signature});
+    result.should.be.true;
+    result = await phVerifier.verify({data, signature});
+    result.should.be.true;
+  });
+
+  it('signs and verifies a ReadableStream with a context', async function() {
+    // `ReadableStream` is only a Node.js global from v18 on
+    if(typeof ReadableStream === 'undefined') {
+      this.skip();
+    }
+    const options = {context: 'archive', prehash: true};
+    const signature = await keyPair.signer(options).signStream({
+      stream: readableStream()
+    });
+    let result = await keyPair.verifier(options).verifyStream({
+      stream: readableStream(), signature
+    });
+    result.should.be.true;
+    result = await keyPair.verifier({prehash: true}).verifyStream({
+      stream: readableStream(), signature
+    });
+    result.should.be.false;
+  });
+
+  it('fails if the streamed data is changed', async () => {
+    const signature = await keyPair.signer({prehash: true}).signStream({
+      stream: iterate()
+    });
+    const result = await keyPair.verifier({prehash: true}).verifyStream({
+      stream: [...chunks, new Uint8Array([0])], signature
+    });
+    result.should.be.false;
+  });
+
+  it('is only available for Ed25519ph', async () => {
+    signer.should.not.have.property('signStream');
+    verifier.should.not.have.property('verifyStream');
+  });
+
+  it('rejects a chunk that is not a Uint8Array', async () => {
+    let error;
+    try {
+      await keyPair.signer({prehash: true}).signStream({stream: ['abc']});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal('"stream" chunks must be Uint8Arrays.');
+  });
+
+  it('rejects a value that is not a stream', async () => {
+    let error;
+    try {
+      await keyPair.signer({prehash: true}).signStream({stream: data.buffer});
+    } catch(e) {
+      error = e;
+    }
+    error.should.be.instanceOf(TypeError);
+    error.message.should.equal(
+      '"stream" must be a Readable, a ReadableStream or an async iterable.');
+  });
+
+  it('computes SHA-512 incrementally', async () => {
+    // FIPS 180-2 appendix C.1 test vector
+    const expected = 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9e' +
+      'eee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94f' +
+      'a54ca49f';
+    const hash = new Sha512();
+    hash.update(stringToUint8Array('a')).update(stringToUint8Array('bc'));
+    const digest = hash.digest();
+    Array.from(digest, b => b.toString(16).padStart(2, '0')).join('')
+      .should.equal(expected);
+  });
+
+  it('computes the same SHA-512 as WebCrypto', async function() {
+    // the global WebCrypto API is only provided by Node.js from v19 on
+    if(!globalThis.crypto?.subtle) {
+      this.skip();
+    }
+    new Sha512().update(data).digest().should.eql(
+      new Uint8Array(await crypto.subtle.digest('SHA-512', data)));
+  });
+});